@@ -1,189 +1,446 @@
 #!/usr/bin/env node
 
 const readline = require('readline');
+const crypto = require('crypto');
+const { version: SERVER_VERSION } = require('./package.json');
 const { ConvolutAPIClient } = require('./utils/api-client.cjs');
-const { handleListContexts, handleGetContext, handleCreateContext, handleUpdateContext, handleDeleteContext } = require('./tools/contexts.cjs');
-const { handleConsolidateContexts, handlePlanFromContexts, handleSearchContexts } = require('./tools/ai-tools.cjs');
-const { handleExportContexts, handleGetRawUrl, handleGetContextStats } = require('./tools/export.cjs');
+const { startHttpTransport } = require('./utils/http-transport.cjs');
+const { loadConfig, parseArgs, ConfigError } = require('./utils/config.cjs');
+const { validate, formatErrors } = require('./utils/schema.cjs');
+const { checkToolAccess, requiresConfirmation, ConfirmationStore } = require('./utils/policy.cjs');
+const { dataDirFor, exportDirFor } = require('./utils/local-store.cjs');
+const { TrashStore } = require('./utils/trash.cjs');
+const { SearchIndex } = require('./utils/search-index.cjs');
+const { HistoryStore } = require('./utils/history.cjs');
+const { truncateText } = require('./utils/output.cjs');
+const { createLogger, isLogLevel } = require('./utils/logger.cjs');
+const { createCallContext } = require('./utils/progress.cjs');
+const { RequestQueue } = require('./utils/concurrency.cjs');
+const { Dispatcher } = require('./utils/dispatcher.cjs');
+const { handleListResources, handleListResourceTemplates, handleReadResource } = require('./tools/resources.cjs');
+const { handleListPrompts, handleGetPrompt } = require('./tools/prompts.cjs');
+const { importContexts } = require('./tools/import.cjs');
+const { ToolRegistry, describeTool } = require('./utils/tool-registry.cjs');
 
-// Configuration
-const API_KEY = process.env.CONVOLUT_API_KEY;
+// Configuration (see utils/config.cjs for sources and precedence)
+let config = null;
 
-if (!API_KEY) {
-  console.error('Error: CONVOLUT_API_KEY environment variable is required');
-  console.error('Please set your Convolut API key in the environment or Claude Desktop config');
-  process.exit(1);
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
 }
 
-// Initialize the Convolut API client
-const apiClient = new ConvolutAPIClient(API_KEY);
-
-// MCP Tool definitions
-const TOOLS = [
-  {
-    name: 'list_contexts',
-    description: 'Search and filter contexts with advanced options including keywords, tags, categories, and date ranges',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        limit: { type: 'number', description: 'Maximum number of contexts to return (1-100)', minimum: 1, maximum: 100, default: 20 },
-        offset: { type: 'number', description: 'Number of contexts to skip for pagination', minimum: 0, default: 0 },
-        contain: { type: 'string', description: 'Keyword to search for in context title and content' },
-        category: { type: 'string', description: 'Filter by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
-        tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' },
-        from: { type: 'string', format: 'date-time', description: 'Start date for filtering (ISO datetime)' },
-        to: { type: 'string', format: 'date-time', description: 'End date for filtering (ISO datetime)' },
-        is_favorite: { type: 'boolean', description: 'Filter by favorite status' }
-      }
-    }
-  },
-  {
-    name: 'get_context',
-    description: 'Retrieve a specific context by its ID, including full content and metadata',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to retrieve' }
-      },
-      required: ['context_id']
-    }
-  },
-  {
-    name: 'create_context',
-    description: 'Create a new context with title, content, tags, and metadata',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        title: { type: 'string', description: 'The title of the context', minLength: 1, maxLength: 200 },
-        content: { type: 'string', description: 'The main content of the context', minLength: 1 },
-        tags: { type: 'array', items: { type: 'string' }, description: 'Tags to categorize the context' },
-        category: { type: 'string', description: 'Category for the context', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'], default: 'other' },
-        is_favorite: { type: 'boolean', description: 'Whether to mark the context as favorite', default: false },
-        files: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, url: { type: 'string', format: 'uri' }, type: { type: 'string' } }, required: ['name', 'url', 'type'] }, description: 'File attachments for the context' }
-      },
-      required: ['title', 'content']
-    }
-  },
-  {
-    name: 'update_context',
-    description: 'Update an existing context with new title, content, tags, or metadata',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to update' },
-        title: { type: 'string', description: 'New title for the context', minLength: 1, maxLength: 200 },
-        content: { type: 'string', description: 'New content for the context', minLength: 1 },
-        tags: { type: 'array', items: { type: 'string' }, description: 'New tags for the context' },
-        category: { type: 'string', description: 'New category for the context', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
-        is_favorite: { type: 'boolean', description: 'Whether to mark the context as favorite' }
-      },
-      required: ['context_id']
+// Server logger: stderr plus the optional log file; sessions add client notifications
+let logger = null;
+
+function getLogger() {
+  if (!logger) {
+    const settings = getConfig();
+    logger = createLogger({ level: settings.logLevel, file: settings.logFile, secrets: [settings.apiKey] });
+  }
+  return logger;
+}
+
+// One limit on upstream requests for the whole process, however many sessions there are
+let requestQueue = null;
+
+function getRequestQueue(settings) {
+  if (!requestQueue) {
+    requestQueue = new RequestQueue({ concurrency: settings.maxConcurrentRequests, maxQueued: settings.maxQueuedRequests });
+  }
+  return requestQueue;
+}
+
+function createApiClient(apiKey, settings, apiLogger = getLogger().child('convolut-api')) {
+  return new ConvolutAPIClient(apiKey, {
+    baseUrl: settings.baseUrl,
+    userAgent: settings.userAgent,
+    request: { timeoutMs: settings.timeoutMs, retries: settings.retries },
+    operations: settings.operations,
+    pagePrefetch: settings.pagePrefetch,
+    requestQueue: getRequestQueue(settings),
+    logger: apiLogger
+  });
+}
+
+// Every tool the server has; the configuration decides which of them a session sees (utils/policy.cjs)
+const registry = new ToolRegistry();
+[
+  require('./tools/contexts.cjs'),
+  require('./tools/read.cjs'),
+  require('./tools/edit.cjs'),
+  require('./tools/bulk.cjs'),
+  require('./tools/import.cjs'),
+  require('./tools/history.cjs'),
+  require('./tools/trash.cjs'),
+  require('./tools/ai-tools.cjs'),
+  require('./tools/duplicates.cjs'),
+  require('./tools/export.cjs')
+].forEach(toolModule => registry.registerAll(toolModule.tools));
+
+function enabledTools(session) {
+  return registry.all().filter(tool => checkToolAccess(tool, session.config).allowed);
+}
+
+// One trash store and one history store per data directory. A JsonFileStore only serializes the
+// updates made through it, so every session and reload using the same API key must share them
+const trashStores = new Map();
+const historyStores = new Map();
+
+function getTrashStore(dataDir, settings) {
+  if (!trashStores.has(dataDir)) {
+    trashStores.set(dataDir, new TrashStore({ dir: dataDir, retentionDays: settings.trashRetentionDays }));
+  }
+  const store = trashStores.get(dataDir);
+  store.retentionDays = settings.trashRetentionDays;
+  // Enforce retention on open and after a reload may have shortened it, not only when the trash is listed
+  store.purgeExpired().catch(error => getLogger().warning(`Cannot purge expired trash in ${dataDir}: ${error.message}`));
+  return store;
+}
+
+function getHistoryStore(dataDir, settings) {
+  if (!historyStores.has(dataDir)) {
+    historyStores.set(dataDir, new HistoryStore({ dir: dataDir, maxVersions: settings.historyMaxVersions, retentionDays: settings.historyRetentionDays }));
+  }
+  const store = historyStores.get(dataDir);
+  store.defaults = { max_versions: settings.historyMaxVersions, retention_days: settings.historyRetentionDays };
+  return store;
+}
+
+// One search index per API key and server, so sessions and reloads do not each download the whole
+// library; every session's API client feeds its changes into the shared index. An index holds the
+// full text of a library, so it is dropped when the last session using it closes.
+const searchIndexes = new Map();     // key -> { index, sessions: Set }
+
+function releaseSearchIndex(session) {
+  const key = session.searchIndexKey;
+  const entry = searchIndexes.get(key);
+  session.searchIndexKey = null;
+  if (!entry) return;
+  entry.sessions.delete(session);
+  if (entry.sessions.size === 0) {
+    searchIndexes.delete(key);
+  }
+}
+
+function acquireSearchIndex(session, dataDir, settings) {
+  const key = `${settings.baseUrl} ${dataDir}`;
+  if (session.searchIndexKey !== key) {
+    releaseSearchIndex(session);
+  }
+  if (!searchIndexes.has(key)) {
+    searchIndexes.set(key, { index: new SearchIndex(), sessions: new Set() });
+  }
+  const entry = searchIndexes.get(key);
+  entry.sessions.add(session);
+  session.searchIndexKey = key;
+  return entry.index;
+}
+
+// Sessions that are still open, so a configuration reload can reach them
+const liveSessions = new Set();
+
+// A session holds the per-connection state: its own API client and a way to message the client.
+// Without an apiKey the session uses the configured one and follows it across reloads.
+function createSession({ id = crypto.randomUUID(), apiKey = null, notify = () => {} }) {
+  const session = {
+    id,
+    // Set from the configuration by applySettings
+    config: null,
+    apiClient: null,
+    trash: null,
+    history: null,
+    searchIndex: null,
+    searchIndexKey: null,
+    clientApiKey: apiKey,
+    confirmations: new ConfirmationStore(),
+    logger: getLogger().child('convolut-mcp', { notify }),
+    // Agreed on initialize; null until then
+    protocolVersion: null,
+    // AbortControllers of in-flight requests by JSON-RPC id: rejects reused ids, and notifications/cancelled aborts them
+    requests: new Map(),
+    notify
+  };
+
+  applySettings(session, getConfig());
+  liveSessions.add(session);
+  return session;
+}
+
+// (Re)build the parts of a session that depend on the configuration; calls in progress keep the old API client
+function applySettings(session, settings) {
+  const apiKey = session.clientApiKey || settings.apiKey;
+  session.logger.addSecret(apiKey);
+  const apiClient = createApiClient(apiKey, settings, session.logger.child('convolut-api'));
+  const dataDir = dataDirFor(settings, apiKey);
+  const searchIndex = acquireSearchIndex(session, dataDir, settings);
+  apiClient.onContextChange(change => searchIndex.applyChange(change));
+
+  session.config = settings;
+  session.apiClient = apiClient;
+  session.searchIndex = searchIndex;
+  session.exportDir = exportDirFor(settings, apiKey);
+  session.trash = getTrashStore(dataDir, settings);
+  session.history = getHistoryStore(dataDir, settings);
+}
+
+function closeSession(session) {
+  liveSessions.delete(session);
+  releaseSearchIndex(session);
+}
+
+let defaultSession = null;
+
+function getDefaultSession() {
+  if (!defaultSession) {
+    defaultSession = createSession({});
+  }
+  return defaultSession;
+}
+
+/**
+ * Re-read the configuration (on SIGHUP) and apply it to every open session. Sessions whose set
+ * of tools changed, e.g. after switching to a read-only profile, get notifications/tools/list_changed.
+ * Settings used when the server started (transport, port, host, logging, request limits) need a restart.
+ */
+function reloadConfiguration() {
+  let next;
+  try {
+    next = loadConfig();
+  } catch (error) {
+    getLogger().error(`Keeping the current configuration: ${error.message}`);
+    return;
+  }
+  if (next.transport === 'stdio' && !next.apiKey) {
+    getLogger().error('Keeping the current configuration: the reloaded one has no API key');
+    return;
+  }
+
+  config = next;
+  getLogger().info(`Configuration reloaded${next.profile ? ` (profile "${next.profile}", ${next.baseUrl})` : ''}`);
+
+  liveSessions.forEach((session) => {
+    const before = enabledTools(session).map(tool => tool.name).join(',');
+    applySettings(session, next);
+    const after = enabledTools(session).map(tool => tool.name).join(',');
+
+    if (before !== after && session.protocolVersion) {
+      session.logger.debug('Available tools changed');
+      session.notify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
     }
-  },
-  {
-    name: 'delete_context',
-    description: 'Delete a context permanently by its ID',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to delete' }
-      },
-      required: ['context_id']
+  });
+}
+
+function protocolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toolErrorResult(payload) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(payload, null, 2),
+    }],
+    isError: true
+  };
+}
+
+// Tools that can return a lot fit themselves to maxResponseChars; this catches everything else
+function limitResultSize(result, maxChars) {
+  if (!result || !Array.isArray(result.content)) return result;
+  return {
+    ...result,
+    content: result.content.map(item => (item.type === 'text' ? { ...item, text: truncateText(item.text, maxChars) } : item)),
+  };
+}
+
+// Protocol revisions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LEGACY_PROTOCOL_VERSION = '2024-11-05';
+
+// The client's version when supported, otherwise our newest (the client then decides whether to continue)
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+// outputSchema and structuredContent arrived in 2025-06-18
+function supportsStructuredOutput(session) {
+  return (session.protocolVersion || LEGACY_PROTOCOL_VERSION) >= '2025-06-18';
+}
+
+// Which optional tools/list fields this session's protocol revision defines (see describeTool)
+function toolListingFields(session) {
+  const structured = supportsStructuredOutput(session);
+  return {
+    annotations: (session.protocolVersion || LEGACY_PROTOCOL_VERSION) >= '2025-03-26',
+    title: structured,
+    outputSchema: structured
+  };
+}
+
+// Handlers return JSON text; tools whose text is in another format supply structuredContent themselves
+function parseStructuredContent(result) {
+  if (result.structuredContent !== undefined) return result.structuredContent;
+  const first = result.content && result.content[0];
+  if (!first || first.type !== 'text') return undefined;
+  try {
+    const value = JSON.parse(first.text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Final form of a tool result for this session: structuredContent (checked against the tool's
+ * outputSchema) for clients that understand it, and text cut to maxResponseChars for everyone.
+ * Structured results over the size limit are left out; the truncated text still says what is missing.
+ */
+function shapeToolResult(result, tool, session) {
+  if (!result) return result;
+  const { structuredContent, ...shaped } = result;
+  const maxChars = session.config.maxResponseChars;
+
+  if (supportsStructuredOutput(session) && tool.outputSchema && !result.isError) {
+    const structured = parseStructuredContent(result);
+    const { errors } = structured === undefined ? { errors: [] } : validate(tool.outputSchema, structured);
+
+    if (structured === undefined) {
+      session.logger.warning(`Tool ${tool.name} returned no structured result`);
+    } else if (errors.length > 0) {
+      session.logger.warning(`Tool ${tool.name} result does not match its outputSchema`, { errors: formatErrors(errors.slice(0, 5)) });
+    } else if (maxChars && JSON.stringify(structured).length > maxChars) {
+      session.logger.debug(`Tool ${tool.name} structured result is over maxResponseChars; sending text only`);
+    } else {
+      shaped.structuredContent = structured;
     }
-  },
-  {
-    name: 'search_contexts',
-    description: 'Perform semantic search across contexts to find relevant information',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string', description: 'Search query to find semantically similar contexts', minLength: 1 },
-        limit: { type: 'number', description: 'Maximum number of results to return', minimum: 1, maximum: 50, default: 10 },
-        category: { type: 'string', description: 'Filter results by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
-        tags: { type: 'array', items: { type: 'string' }, description: 'Filter results by tags' }
-      },
-      required: ['query']
+  }
+
+  return limitResultSize(shaped, maxChars);
+}
+
+// tools/call: access policy, schema validation, confirmation of destructive calls, then the handler.
+// Resolves to null when the client cancelled the call, since no response is sent then.
+async function handleToolCall(params, session, requestId = null, signal = new AbortController().signal) {
+  const toolName = params.name;
+  if (!toolName) {
+    throw protocolError(-32602, 'Missing tool name');
+  }
+
+  const tool = registry.get(toolName);
+  if (!tool) {
+    throw protocolError(-32601, `Tool not found: ${toolName}`);
+  }
+
+  const access = checkToolAccess(tool, session.config);
+  if (!access.allowed) {
+    throw protocolError(-32601, `Tool ${toolName} is not available: ${access.reason}`);
+  }
+
+  // Arguments are checked against the tool's inputSchema, which also fills in defaults
+  const { value: toolArgs, errors: argumentErrors } = validate(tool.inputSchema, params.arguments || {});
+
+  if (argumentErrors.length > 0) {
+    return toolErrorResult({
+      error: `Invalid arguments for ${toolName}: ${formatErrors(argumentErrors)}`,
+      errors: argumentErrors,
+    });
+  }
+
+  const { confirmation_token: confirmationToken, ...handlerArgs } = toolArgs;
+
+  const callAccess = checkToolAccess(tool, session.config, handlerArgs);
+  if (!callAccess.allowed) {
+    return toolErrorResult({ error: `${toolName} cannot be called with these arguments: ${callAccess.reason}` });
+  }
+
+  if (requiresConfirmation(tool, session.config, handlerArgs)) {
+    if (!confirmationToken) {
+      let preview;
+      try {
+        preview = tool.preview
+          ? await tool.preview(handlerArgs, session.apiClient, session)
+          : { action: toolName, arguments: handlerArgs };
+      } catch (error) {
+        return toolErrorResult({ error: `Cannot preview ${toolName}: ${error.message}` });
+      }
+
+      const confirmation = session.confirmations.issue(toolName, handlerArgs);
+
+      return shapeToolResult({
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            message: `Confirmation required: call ${toolName} again with the same arguments and this confirmation_token to proceed`,
+            preview,
+            confirmation_token: confirmation.token,
+            expires_at: confirmation.expiresAt,
+          }, null, 2),
+        }],
+      }, tool, session);
     }
-  },
-  {
-    name: 'consolidate_contexts',
-    description: 'Merge multiple contexts using AI to create a consolidated summary or composition',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Array of context IDs to consolidate (2-10 contexts)', minItems: 2, maxItems: 10 },
-        consolidation_type: { type: 'string', enum: ['summarize', 'compose'], description: 'Type of consolidation', default: 'summarize' },
-        custom_prompt: { type: 'string', description: 'Optional custom prompt to guide the consolidation process' }
-      },
-      required: ['context_ids', 'consolidation_type']
+
+    if (!session.confirmations.consume(confirmationToken, toolName, handlerArgs)) {
+      return toolErrorResult({
+        error: 'Invalid or expired confirmation_token, or the arguments differ from the previewed call. Call again without a token to get a new preview.',
+      });
     }
-  },
-  {
-    name: 'plan_from_contexts',
-    description: 'Analyze contexts and generate actionable plans using AI',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Array of context IDs to analyze for planning (1-20 contexts)', minItems: 1, maxItems: 20 },
-        planning_prompt: { type: 'string', description: 'Optional custom prompt to guide the planning process' }
-      },
-      required: ['context_ids']
+  }
+
+  const call = createCallContext({
+    signal,
+    progressToken: params._meta && params._meta.progressToken,
+    send: (message) => session.notify(message, requestId)
+  });
+
+  const startedAt = Date.now();
+  try {
+    const result = await tool.handler(handlerArgs, session.apiClient.withSignal(signal), session, call);
+    if (signal.aborted) {
+      session.logger.info(`Tool ${toolName} cancelled`, { duration_ms: Date.now() - startedAt });
+      return null;
     }
-  },
-  {
-    name: 'export_contexts',
-    description: 'Export contexts in various formats (JSON, XML, TXT, Markdown) for integration with other systems',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Array of context IDs to export (1-100 contexts)', minItems: 1, maxItems: 100 },
-        format: { type: 'string', enum: ['json', 'xml', 'txt', 'markdown'], description: 'Export format', default: 'json' },
-        include_metadata: { type: 'boolean', description: 'Whether to include metadata', default: true }
-      },
-      required: ['context_ids', 'format']
+    if (result && result.isError) {
+      const text = result.content && result.content[0] && result.content[0].text;
+      session.logger.warning(`Tool ${toolName} returned an error`, { error: String(text || '').slice(0, 500) });
+    } else {
+      session.logger.debug(`Tool ${toolName} finished`, { duration_ms: Date.now() - startedAt });
     }
-  },
-  {
-    name: 'get_raw_url',
-    description: 'Generate a temporary raw URL for a context that can be accessed without authentication (expires in 10 minutes)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to generate raw URL for' }
-      },
-      required: ['context_id']
+    return shapeToolResult(result, tool, session);
+  } catch (error) {
+    if (signal.aborted) {
+      session.logger.info(`Tool ${toolName} cancelled`, { duration_ms: Date.now() - startedAt });
+      return null;
     }
-  },
-  {
-    name: 'get_context_stats',
-    description: 'Get statistical information about contexts including counts, categories, and usage metrics',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        date_range: { type: 'string', enum: ['7d', '30d', '90d', '1y', 'all'], description: 'Time range for statistics', default: '30d' },
-        group_by: { type: 'string', enum: ['category', 'tags', 'date', 'favorite'], description: 'How to group the statistics', default: 'category' }
-      }
+    session.logger.error(`Tool ${toolName} failed`, { error: error.message });
+    throw protocolError(-32603, error.message);
+  }
+}
+
+// MCP protocol handler, shared by the stdio and HTTP transports
+async function handleMCPRequest(request, session = getDefaultSession()) {
+  // JSON-RPC batch: members run concurrently and the responses come back as one array
+  if (Array.isArray(request)) {
+    if (request.length === 0) {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32600,
+          message: 'Invalid request: empty batch'
+        }
+      };
     }
+
+    const responses = await Promise.all(request.map(message => handleMCPRequest(message, session)));
+    const answered = responses.filter(Boolean);
+    return answered.length > 0 ? answered : null;
   }
-];
-
-// Tool handler mapping
-const TOOL_HANDLERS = {
-  'list_contexts': handleListContexts,
-  'get_context': handleGetContext,
-  'create_context': handleCreateContext,
-  'update_context': handleUpdateContext,
-  'delete_context': handleDeleteContext,
-  'search_contexts': handleSearchContexts,
-  'consolidate_contexts': handleConsolidateContexts,
-  'plan_from_contexts': handlePlanFromContexts,
-  'export_contexts': handleExportContexts,
-  'get_raw_url': handleGetRawUrl,
-  'get_context_stats': handleGetContextStats
-};
-
-// MCP stdio protocol handler
-async function handleMCPRequest(request) {
+
   // Ensure we have a valid request object
   if (!request || typeof request !== 'object') {
     return {
@@ -199,94 +456,130 @@ async function handleMCPRequest(request) {
   // Handle notifications (no id field)
   const isNotification = !('id' in request);
   const requestId = 'id' in request ? request.id : null;
+  const { apiClient } = session;
+
+  // Ids identify requests for cancellation and progress, so one may not be reused while in flight
+  let controller = null;
+  if (!isNotification) {
+    if (session.requests.has(requestId)) {
+      return {
+        jsonrpc: '2.0',
+        id: requestId,
+        error: {
+          code: -32600,
+          message: `Invalid request: id ${JSON.stringify(requestId)} is already in use by a request in progress`
+        }
+      };
+    }
+    controller = new AbortController();
+    session.requests.set(requestId, controller);
+  }
 
   try {
     switch (request.method) {
-      case 'initialize':
+      case 'initialize': {
+        session.protocolVersion = negotiateProtocolVersion(request.params && request.params.protocolVersion);
         return {
           jsonrpc: '2.0',
           id: requestId,
           result: {
-            protocolVersion: '2024-11-05',
+            protocolVersion: session.protocolVersion,
             capabilities: {
-              tools: { listChanged: false },
+              tools: { listChanged: true },
+              resources: { subscribe: false, listChanged: false },
+              prompts: { listChanged: false },
               logging: {},
               experimental: {}
             },
             serverInfo: {
               name: 'convolut-mcp-server',
-              version: '1.0.0'
+              version: SERVER_VERSION
             }
           }
         };
+      }
+
+      case 'logging/setLevel': {
+        const level = request.params && request.params.level;
+        if (!isLogLevel(level)) {
+          throw protocolError(-32602, `Invalid log level: ${JSON.stringify(level)}`);
+        }
+        session.logger.setClientLevel(level);
+        session.logger.debug(`Client log level set to ${level}`);
+        return {
+          jsonrpc: '2.0',
+          id: requestId,
+          result: {}
+        };
+      }
 
       case 'notifications/initialized':
         // Notification - no response needed
         return null;
 
+      case 'notifications/cancelled': {
+        // Unknown or already finished requests are ignored, as the spec allows
+        const { requestId: cancelledId, reason } = request.params || {};
+        const controller = session.requests.get(cancelledId);
+        if (controller) {
+          session.logger.debug(`Cancelling request ${JSON.stringify(cancelledId)}`, reason ? { reason } : undefined);
+          controller.abort();
+        }
+        return null;
+      }
+
       case 'tools/list':
         return {
           jsonrpc: '2.0',
           id: requestId,
-          result: { 
-            tools: TOOLS 
+          result: {
+            tools: enabledTools(session).map(tool => describeTool(tool, toolListingFields(session)))
           }
         };
 
       case 'resources/list':
-        // Return empty resources list (not supported by this client)
         return {
           jsonrpc: '2.0',
           id: requestId,
-          result: { 
-            resources: [] 
-          }
+          result: await handleListResources(request.params || {}, apiClient)
         };
 
-      case 'tools/call':
-        if (!request.params?.name) {
-          return {
-            jsonrpc: '2.0',
-            id: requestId,
-            error: {
-              code: -32602,
-              message: 'Missing tool name'
-            }
-          };
-        }
+      case 'resources/templates/list':
+        return {
+          jsonrpc: '2.0',
+          id: requestId,
+          result: await handleListResourceTemplates(request.params || {}, apiClient)
+        };
 
-        const toolName = request.params.name;
-        const toolHandler = TOOL_HANDLERS[toolName];
-        
-        if (!toolHandler) {
-          return {
-            jsonrpc: '2.0',
-            id: requestId,
-            error: {
-              code: -32601,
-              message: `Tool not found: ${toolName}`
-            }
-          };
-        }
+      case 'resources/read':
+        return {
+          jsonrpc: '2.0',
+          id: requestId,
+          result: await handleReadResource(request.params || {}, apiClient)
+        };
 
-        try {
-          const result = await toolHandler(request.params.arguments || {}, apiClient);
-          
-          return {
-            jsonrpc: '2.0',
-            id: requestId,
-            result
-          };
-        } catch (error) {
-          return {
-            jsonrpc: '2.0',
-            id: requestId,
-            error: {
-              code: -32603,
-              message: error.message
-            }
-          };
-        }
+      case 'prompts/list':
+        return {
+          jsonrpc: '2.0',
+          id: requestId,
+          result: await handleListPrompts(request.params || {}, apiClient)
+        };
+
+      case 'prompts/get':
+        return {
+          jsonrpc: '2.0',
+          id: requestId,
+          result: await handleGetPrompt(request.params || {}, apiClient)
+        };
+
+      case 'tools/call': {
+        const result = await handleToolCall(request.params || {}, session, requestId, controller ? controller.signal : undefined);
+        return result === null ? null : {
+          jsonrpc: '2.0',
+          id: requestId,
+          result
+        };
+      }
 
       case 'ping':
         return {
@@ -306,6 +599,18 @@ async function handleMCPRequest(request) {
         };
     }
   } catch (error) {
+    // Handlers may raise JSON-RPC errors (e.g. resource not found) by setting a numeric code
+    if (Number.isInteger(error.code)) {
+      return {
+        jsonrpc: '2.0',
+        id: requestId,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      };
+    }
+
     return {
       jsonrpc: '2.0',
       id: requestId,
@@ -314,11 +619,25 @@ async function handleMCPRequest(request) {
         message: `Internal error: ${error.message}`
       }
     };
+  } finally {
+    if (controller && session.requests.get(requestId) === controller) {
+      session.requests.delete(requestId);
+    }
   }
 }
 
-// Main stdio loop
-async function main() {
+// Stdio transport: newline-delimited JSON-RPC on stdin/stdout
+async function startStdio(settings) {
+  if (!settings.apiKey) {
+    getLogger().critical('CONVOLUT_API_KEY environment variable is required. Please set your Convolut API key in the environment, the config file or Claude Desktop config');
+    process.exit(1);
+  }
+
+  const session = createSession({
+    notify: (message) => console.log(JSON.stringify(message))
+  });
+
+  const dispatcher = new Dispatcher(handleMCPRequest);
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -326,19 +645,17 @@ async function main() {
   });
 
   // Log startup to stderr (visible in Claude Desktop logs)
-  console.error('Convolut MCP server starting - direct API integration...');
+  getLogger().info('Convolut MCP server starting - direct API integration...');
 
-  rl.on('line', async (line) => {
+  // Messages are dispatched without waiting for earlier ones; each response is one line whenever it is ready
+  rl.on('line', (line) => {
     if (!line.trim()) return;
 
+    let message;
     try {
-      const request = JSON.parse(line);
-      const response = await handleMCPRequest(request);
-      
-      if (response) {
-        console.log(JSON.stringify(response));
-      }
+      message = JSON.parse(line);
     } catch (error) {
+      session.logger.warning(`Could not parse message: ${error.message}`);
       const errorResponse = {
         jsonrpc: '2.0',
         id: null,
@@ -348,40 +665,196 @@ async function main() {
         }
       };
       console.log(JSON.stringify(errorResponse));
+      return;
     }
+
+    dispatcher.dispatch(message, session).then((response) => {
+      if (response) {
+        console.log(JSON.stringify(response));
+      }
+    }, (error) => {
+      session.logger.error(`Unhandled error while dispatching a message: ${error.message}`);
+    });
   });
 
-  rl.on('close', () => {
-    console.error('Convolut MCP server shutting down...');
+  // Finish what is in flight (up to shutdownTimeoutMs), then exit; a second signal exits at once
+  let shuttingDown = false;
+  const shutdown = async (reason) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    rl.close();
+
+    if (dispatcher.inFlight > 0) {
+      getLogger().info(`${reason}; waiting for ${dispatcher.inFlight} request(s) in progress...`);
+    }
+    const drained = await dispatcher.drain(settings.shutdownTimeoutMs);
+    if (!drained) {
+      getLogger().warning(`Shutting down with ${dispatcher.inFlight} request(s) still in progress after ${settings.shutdownTimeoutMs}ms`);
+    }
+    getLogger().info('Convolut MCP server shutting down...');
     process.exit(0);
-  });
+  };
+
+  rl.on('close', () => shutdown('Input closed'));
 
   // Handle process termination
-  process.on('SIGINT', () => {
-    console.error('Received SIGINT, shutting down...');
-    rl.close();
+  ['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        getLogger().warning(`Received ${signal} again, exiting without waiting`);
+        process.exit(1);
+      }
+      getLogger().info(`Received ${signal}, shutting down...`);
+      shutdown(`Received ${signal}`);
+    });
   });
+}
 
-  process.on('SIGTERM', () => {
-    console.error('Received SIGTERM, shutting down...');
-    rl.close();
+// Streamable HTTP transport: one shared server, API key supplied per session
+async function startHttp(settings) {
+  const { port, host, allowedOrigins } = settings;
+  const dispatcher = new Dispatcher(handleMCPRequest);
+
+  const server = await startHttpTransport({
+    handleRequest: (message, session) => dispatcher.dispatch(message, session),
+    createSession,
+    onSessionClosed: closeSession,
+    // Clients must send their own key unless the operator opted in to sharing theirs on loopback
+    defaultApiKey: settings.useServerApiKey ? settings.apiKey : null,
+    port,
+    host,
+    allowedOrigins,
+    protocolVersions: SUPPORTED_PROTOCOL_VERSIONS
   });
+
+  getLogger().info(`Convolut MCP server listening on http://${host}:${port}/mcp`);
+
+  // Stop accepting connections, let requests in progress finish, then close the SSE streams and exit
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      getLogger().warning(`Received ${signal} again, exiting without waiting`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    getLogger().info(`Received ${signal}, shutting down...`);
+
+    server.close();
+    const drained = await dispatcher.drain(settings.shutdownTimeoutMs);
+    if (!drained) {
+      getLogger().warning(`Shutting down with ${dispatcher.inFlight} request(s) still in progress after ${settings.shutdownTimeoutMs}ms`);
+    }
+    // Let the transport write the last responses before the sockets go
+    await new Promise(resolve => setImmediate(resolve));
+    server.closeAllConnections();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// `convolut-mcp import <path> [--dry-run] [--format ...]`: run an import from the command line
+const IMPORT_BOOLEAN_FLAGS = ['dry-run', 'skip-duplicates', 'recursive'];
+
+async function runImportCommand(settings, positionals, flags) {
+  if (!settings.apiKey) {
+    console.error('Error: CONVOLUT_API_KEY environment variable is required');
+    process.exit(1);
+  }
+  if (!positionals[0]) {
+    console.error('Usage: convolut-mcp import <path> [--format auto|markdown|obsidian|json|jsonl] [--dry-run] [--category <name>] [--tags a,b] [--no-skip-duplicates] [--no-recursive] [--max-files <n>] [--concurrency <n>]');
+    process.exit(1);
+  }
+
+  const text = (value) => (value === undefined || value === true ? undefined : String(value));
+  const flag = (name) => (flags[name] === true ? true : text(flags[name]));
+  const bool = (name) => (flags[name] === undefined ? undefined : /^(true|1|yes|on)$/i.test(String(flag(name))));
+  const number = (name) => (flags[name] === undefined ? undefined : Number(flags[name]));
+
+  const raw = {
+    path: positionals[0],
+    format: text(flags.format),
+    dry_run: bool('dry-run'),
+    skip_duplicates: bool('skip-duplicates'),
+    recursive: bool('recursive'),
+    category: text(flags.category),
+    tags: flags.tags === undefined ? undefined : String(flags.tags).split(',').map(tag => tag.trim()).filter(Boolean),
+    max_files: number('max-files'),
+    concurrency: number('concurrency')
+  };
+  Object.keys(raw).forEach(key => raw[key] === undefined && delete raw[key]);
+
+  const { value: options, errors } = validate(registry.get('import_contexts').inputSchema, raw);
+  if (errors.length > 0) {
+    console.error(`Invalid import options: ${formatErrors(errors)}`);
+    process.exit(1);
+  }
+
+  const report = await importContexts(options, createApiClient(settings.apiKey, settings), { importRoots: settings.importRoots });
+
+  report.results.forEach(result => {
+    const detail = result.context_id || result.error || (result.duplicate_of ? `${result.reason} of ${result.duplicate_of}` : result.title);
+    console.log(`${result.status.padEnd(12)} ${result.source}${detail ? `  (${detail})` : ''}`);
+  });
+  console.log(`${report.message}: ${Object.entries(report.summary).map(([status, count]) => `${count} ${status}`).join(', ') || 'nothing to import'}`);
+
+  process.exit(report.summary.failed ? 1 : 0);
+}
+
+async function main() {
+  let settings;
+  try {
+    settings = getConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  if (settings.profile) {
+    getLogger().info(`Using profile "${settings.profile}" (${settings.baseUrl})`);
+  }
+
+  const { flags, positionals } = parseArgs(process.argv.slice(2), IMPORT_BOOLEAN_FLAGS);
+  if (positionals[0] === 'import') {
+    return runImportCommand(settings, positionals.slice(1), flags);
+  }
+
+  // Re-read the configuration without a restart, e.g. after switching profiles in the config file
+  process.on('SIGHUP', () => {
+    getLogger().info('Received SIGHUP, reloading configuration...');
+    reloadConfiguration();
+  });
+
+  return settings.transport === 'http' ? startHttp(settings) : startStdio(settings);
 }
 
 // Error handling
+// Falls back to plain stderr when the failure is in loading the configuration itself
+function logFatal(message, error) {
+  try {
+    getLogger().critical(message, { error: error instanceof Error ? { name: error.name, message: error.message, stack: error.stack } : String(error) });
+  } catch (loggingError) {
+    console.error(message, error);
+  }
+}
+
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught exception:', error);
+  logFatal('Uncaught exception', error);
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logFatal('Unhandled rejection', reason);
   process.exit(1);
 });
 
 if (require.main === module) {
   main().catch((error) => {
-    console.error('Fatal error:', error);
+    logFatal('Fatal error', error);
     process.exit(1);
   });
 }
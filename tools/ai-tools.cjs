@@ -4,17 +4,16 @@
  */
 
 const { ConvolutAPIClient } = require('../utils/api-client.cjs');
+const { parseQuery, buildSnippets } = require('../utils/search-index.cjs');
+const { projectItem, renderPage } = require('../utils/output.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
+const { STRING_LIST, CONTEXT_ITEM_OUTPUT, TRUNCATION_PROPERTIES } = require('./schemas.cjs');
 
-// Validation helpers
-function validateConsolidateRequest(args) {
-  if (!args.context_ids || !Array.isArray(args.context_ids) || args.context_ids.length < 2 || args.context_ids.length > 10) {
-    throw new Error('context_ids must be an array of 2-10 context IDs');
-  }
-
-  if (!args.consolidation_type || !['summarize', 'compose'].includes(args.consolidation_type)) {
-    throw new Error('consolidation_type must be either "summarize" or "compose"');
-  }
+// What each search result shows when fields is not given
+const SEARCH_RESULT_FIELDS = ['id', 'title', 'category', 'tags', 'is_favorite', 'updated_date', 'score', 'matched_terms', 'snippets'];
 
+// Request builders (arguments have already been checked against the tool's inputSchema)
+function buildConsolidateRequest(args) {
   const request = {
     context_ids: args.context_ids,
     consolidation_type: args.consolidation_type
@@ -27,11 +26,7 @@ function validateConsolidateRequest(args) {
   return request;
 }
 
-function validatePlanRequest(args) {
-  if (!args.context_ids || !Array.isArray(args.context_ids) || args.context_ids.length < 1 || args.context_ids.length > 20) {
-    throw new Error('context_ids must be an array of 1-20 context IDs');
-  }
-
+function buildPlanRequest(args) {
   const request = {
     context_ids: args.context_ids
   };
@@ -44,9 +39,11 @@ function validatePlanRequest(args) {
 }
 
 // Tool implementations
-async function handleConsolidateContexts(args, apiClient) {
+async function handleConsolidateContexts(args, apiClient, session, call = createCallContext()) {
+  // The server does the work in one long request, so progress is only a sign of life
+  const stopHeartbeat = call.heartbeat(`Consolidating ${args.context_ids.length} contexts`);
   try {
-    const request = validateConsolidateRequest(args);
+    const request = buildConsolidateRequest(args);
     const result = await apiClient.consolidateContexts(request);
 
     return {
@@ -68,12 +65,15 @@ async function handleConsolidateContexts(args, apiClient) {
       }],
       isError: true,
     };
+  } finally {
+    stopHeartbeat();
   }
 }
 
-async function handlePlanFromContexts(args, apiClient) {
+async function handlePlanFromContexts(args, apiClient, session, call = createCallContext()) {
+  const stopHeartbeat = call.heartbeat(`Planning from ${args.context_ids.length} contexts`);
   try {
-    const request = validatePlanRequest(args);
+    const request = buildPlanRequest(args);
     const result = await apiClient.planFromContexts(request);
 
     return {
@@ -94,38 +94,68 @@ async function handlePlanFromContexts(args, apiClient) {
       }],
       isError: true,
     };
+  } finally {
+    stopHeartbeat();
   }
 }
 
-async function handleSearchContexts(args, apiClient) {
+async function handleSearchContexts(args, apiClient, session, call = createCallContext()) {
   try {
-    if (!args.query || typeof args.query !== 'string' || args.query.trim().length === 0) {
-      throw new Error('query is required and must be a non-empty string');
+    const { terms } = parseQuery(args.query);
+    if (terms.length === 0) {
+      throw new Error('query must contain at least one word');
     }
 
-    const searchParams = {
-      contain: args.query,  // Back to 'contain' to match API client expectations
-      limit: args.limit || 10,
-    };
+    const index = session.searchIndex;
+    await index.refresh(() => apiClient.listAllContexts({}, {
+      onProgress: (fetched, total) => call.progress(fetched, total, `Indexed ${fetched} contexts`),
+    }), { force: args.refresh });
 
-    if (args.category) searchParams.category = args.category;
-    if (args.tags && Array.isArray(args.tags)) searchParams.tags = args.tags;
+    const { phrases, results } = index.search(args.query, {
+      boosts: args.boosts,
+      minScore: args.min_score,
+      filter: context => (!args.category || context.category === args.category)
+        && (!args.tags || args.tags.every(tag => (context.tags || []).includes(tag))),
+    });
 
-    const response = await apiClient.listContexts(searchParams);
+    const fields = args.fields || SEARCH_RESULT_FIELDS;
+    const page = results.slice(args.offset, args.offset + args.limit).map(({ context, score, matchedTerms }) => projectItem({
+      ...context,
+      tags: context.tags || [],
+      is_favorite: Boolean(context.is_favorite),
+      score: Math.round(score * 1000) / 1000,
+      matched_terms: matchedTerms,
+      snippets: fields.includes('snippets') ? buildSnippets(context.content, terms, phrases, args.snippets) : undefined,
+    }, { fields, previewChars: args.content_preview_chars }));
+    const hasMore = args.offset + page.length < results.length;
 
-    // FIXED: Handle both response formats
-    const results = Array.isArray(response) ? response : response.items || [];
+    const { text, data } = renderPage(page, {
+      format: args.format,
+      key: 'results',
+      offset: args.offset,
+      maxChars: session.config.maxResponseChars,
+      meta: (count, truncation) => ({
+        message: 'Context search completed',
+        query: args.query,
+        phrases: phrases.map(tokens => tokens.join(' ')),
+        total_found: results.length,
+        offset: args.offset,
+        next_offset: hasMore || truncation ? args.offset + count : null,
+        indexed_contexts: index.size,
+        ...truncation,
+      }),
+      summary: (count) => {
+        const more = hasMore || count < page.length ? `; next offset ${args.offset + count}` : '';
+        return `Results ${count > 0 ? `${args.offset + 1}-${args.offset + count}` : 'none'} of ${results.length} for "${args.query}"${more}`;
+      },
+    });
 
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify({
-          message: 'Context search completed',
-          query: args.query,
-          results: results,
-          total_found: results.length,
-        }, null, 2),
+        text,
       }],
+      structuredContent: data,
     };
   } catch (error) {
     return {
@@ -138,7 +168,135 @@ async function handleSearchContexts(args, apiClient) {
   }
 }
 
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const SEARCH_OUTPUT = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...CONTEXT_ITEM_OUTPUT.properties,
+          score: { type: 'number' },
+          matched_terms: STRING_LIST,
+          snippets: STRING_LIST
+        }
+      }
+    },
+    message: { type: 'string' },
+    query: { type: 'string' },
+    phrases: STRING_LIST,
+    total_found: { type: 'integer' },
+    offset: { type: 'integer' },
+    next_offset: { type: ['integer', 'null'] },
+    indexed_contexts: { type: 'integer' },
+    ...TRUNCATION_PROPERTIES
+  },
+  required: ['results', 'query', 'total_found', 'offset', 'next_offset']
+};
+
+// The AI endpoints' own result is passed through as is
+const CONSOLIDATE_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    consolidation_type: { type: 'string' },
+    input_contexts: { type: 'integer' },
+    result: { description: 'Response of the Convolut consolidation endpoint' }
+  },
+  required: ['message', 'input_contexts', 'result']
+};
+
+const PLAN_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    analyzed_contexts: { type: 'integer' },
+    result: { description: 'Response of the Convolut planning endpoint' }
+  },
+  required: ['message', 'analyzed_contexts', 'result']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'search_contexts',
+    title: 'Search Contexts',
+    description: 'Search contexts by relevance (BM25 over titles, tags and content). Put "exact phrases" in quotes. Returns scores and highlighted snippets instead of full content; use get_context to read a result',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        query: { type: 'string', description: 'Words to search for; quoted phrases must appear exactly', minLength: 1 },
+        limit: { type: 'number', description: 'Maximum number of results to return', minimum: 1, maximum: 50, default: 10 },
+        offset: { type: 'integer', description: 'Number of ranked results to skip, e.g. the next_offset of a previous call', minimum: 0, default: 0 },
+        category: { type: 'string', description: 'Filter results by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Only return contexts that have all of these tags' },
+        min_score: { type: 'number', description: 'Drop results scoring below this', minimum: 0, default: 0 },
+        boosts: {
+          type: 'object',
+          additionalProperties: false,
+          description: 'Field weights (defaults: title 3, tags 2, content 1)',
+          properties: {
+            title: { type: 'number', minimum: 0, maximum: 10 },
+            tags: { type: 'number', minimum: 0, maximum: 10 },
+            content: { type: 'number', minimum: 0, maximum: 10 }
+          }
+        },
+        snippets: { type: 'number', description: 'Highlighted snippets per result', minimum: 0, maximum: 5, default: 2 },
+        refresh: { type: 'boolean', description: 'Rebuild the local index from the API before searching', default: false },
+        fields: { type: 'array', items: { type: 'string', enum: ['id', 'title', 'content', 'category', 'tags', 'is_favorite', 'word_count', 'created_date', 'updated_date', 'files', 'score', 'matched_terms', 'snippets'] }, minItems: 1, description: 'Only return these fields of each result (default: id, title, category, tags, is_favorite, updated_date, score, matched_terms, snippets)' },
+        content_preview_chars: { type: 'integer', minimum: 1, maximum: 2000, description: 'Add a content_preview of at most this many characters to each result' },
+        format: { type: 'string', enum: ['json', 'table', 'markdown'], description: 'json, a compact one-line-per-result table, or a Markdown list', default: 'json' }
+      },
+      required: ['query']
+    },
+    outputSchema: SEARCH_OUTPUT,
+    handler: handleSearchContexts
+  },
+  {
+    name: 'consolidate_contexts',
+    title: 'Consolidate Contexts',
+    description: 'Merge multiple contexts using AI to create a consolidated summary or composition',
+    // Starts an AI job on the server, which may store its result as a new context
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Array of context IDs to consolidate (2-10 contexts)', minItems: 2, maxItems: 10 },
+        consolidation_type: { type: 'string', enum: ['summarize', 'compose'], description: 'Type of consolidation', default: 'summarize' },
+        custom_prompt: { type: 'string', description: 'Optional custom prompt to guide the consolidation process' }
+      },
+      required: ['context_ids', 'consolidation_type']
+    },
+    outputSchema: CONSOLIDATE_OUTPUT,
+    handler: handleConsolidateContexts
+  },
+  {
+    name: 'plan_from_contexts',
+    title: 'Plan from Contexts',
+    description: 'Analyze contexts and generate actionable plans using AI',
+    // Starts an AI job on the server, which may store its result as a new context
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Array of context IDs to analyze for planning (1-20 contexts)', minItems: 1, maxItems: 20 },
+        planning_prompt: { type: 'string', description: 'Optional custom prompt to guide the planning process' }
+      },
+      required: ['context_ids']
+    },
+    outputSchema: PLAN_OUTPUT,
+    handler: handlePlanFromContexts
+  }
+];
+
 module.exports = {
+  tools,
   handleConsolidateContexts,
   handlePlanFromContexts,
   handleSearchContexts
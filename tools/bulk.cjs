@@ -0,0 +1,267 @@
+/**
+ * Bulk MCP Tools: apply tag, category and favorite changes across many contexts
+ */
+
+const { mapWithConcurrency } = require('../utils/concurrency.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
+const { dryRunPreview } = require('../utils/policy.cjs');
+const { updateContextWithHistory } = require('./history.cjs');
+const { STATUS_SUMMARY, CONFIRMATION_PROPERTIES } = require('./schemas.cjs');
+
+// Helpers
+function hasOperations(operations) {
+  return Boolean(
+    (operations.add_tags && operations.add_tags.length)
+    || (operations.remove_tags && operations.remove_tags.length)
+    || operations.set_category !== undefined
+    || operations.set_favorite !== undefined
+  );
+}
+
+async function collectByFilter(apiClient, filter, maxItems, call) {
+  // One past the limit is enough to tell that the filter matches too many
+  const contexts = await apiClient.listAllContexts(filter, {
+    maxItems: maxItems + 1,
+    onProgress: (fetched) => call.progress(fetched, undefined, `Collected ${fetched} matching contexts`),
+  });
+  if (contexts.length > maxItems) {
+    throw new Error(`The filter matches more than max_items (${maxItems}) contexts; narrow the filter or raise max_items`);
+  }
+  return contexts;
+}
+
+/**
+ * Fetch the contexts behind a list of ids. With a direct lookup endpoint each id is fetched on its own;
+ * without one, the library is paged through once rather than once per id.
+ *
+ * @returns {Promise<{ contexts: object[], failures: object[] }>} Contexts in the order of ids
+ */
+async function collectByIds(apiClient, ids, concurrency, call) {
+  const found = new Map();
+  const errors = new Map();
+  const lookUp = async (contextId) => {
+    try {
+      found.set(contextId, await apiClient.getContext(contextId, { bypassCache: true }));
+    } catch (error) {
+      errors.set(contextId, error.message);
+    }
+  };
+
+  let remaining = ids;
+  // The first lookup tells whether the direct endpoint exists
+  if (apiClient.directLookup.supported === null) {
+    await lookUp(remaining[0]);
+    remaining = remaining.slice(1);
+  }
+
+  if (apiClient.directLookup.supported === true) {
+    await mapWithConcurrency(remaining, concurrency, lookUp, { signal: call.signal });
+  } else if (remaining.length > 0) {
+    const wanted = new Set(remaining);
+    for await (const page of apiClient.iterateContextPages({}, {
+      onProgress: (fetched, total) => call.progress(fetched, total, `Searched ${fetched} contexts for the requested ids`),
+    })) {
+      page.filter(context => wanted.delete(context.id)).forEach(context => found.set(context.id, context));
+      if (wanted.size === 0) break;
+    }
+    wanted.forEach(contextId => errors.set(contextId, `Context with ID ${contextId} not found`));
+  }
+
+  return {
+    contexts: ids.filter(contextId => found.has(contextId)).map(contextId => found.get(contextId)),
+    failures: ids.filter(contextId => errors.has(contextId)).map(contextId => ({ context_id: contextId, status: 'failed', error: errors.get(contextId) })),
+  };
+}
+
+// Works out the update for one context, or null when it already matches
+function planUpdate(context, operations) {
+  const updates = {};
+  const changes = {};
+
+  if ((operations.add_tags && operations.add_tags.length) || (operations.remove_tags && operations.remove_tags.length)) {
+    const currentTags = context.tags || [];
+    const removed = new Set(operations.remove_tags || []);
+    const tags = [...new Set([...currentTags, ...(operations.add_tags || [])])].filter(tag => !removed.has(tag));
+
+    const sameTags = tags.length === currentTags.length && tags.every(tag => currentTags.includes(tag));
+    if (!sameTags) {
+      updates.tags = tags;
+      changes.tags = { from: currentTags, to: tags };
+    }
+  }
+
+  if (operations.set_category !== undefined && context.category !== operations.set_category) {
+    updates.category = operations.set_category;
+    changes.category = { from: context.category, to: operations.set_category };
+  }
+
+  if (operations.set_favorite !== undefined && Boolean(context.is_favorite) !== operations.set_favorite) {
+    updates.is_favorite = operations.set_favorite;
+    changes.is_favorite = { from: Boolean(context.is_favorite), to: operations.set_favorite };
+  }
+
+  return Object.keys(updates).length > 0 ? { updates, changes } : null;
+}
+
+// Result entry for one context; failures are reported rather than thrown
+async function updateOne(apiClient, session, context, args) {
+  const plan = planUpdate(context, args.operations);
+  const base = { context_id: context.id, title: context.title };
+
+  if (!plan) return { ...base, status: 'unchanged' };
+  if (args.dry_run) return { ...base, status: 'would_update', changes: plan.changes };
+
+  try {
+    await updateContextWithHistory(apiClient, session, context.id, plan.updates, { reason: 'bulk_update_contexts', current: context });
+    return { ...base, status: 'updated', changes: plan.changes };
+  } catch (error) {
+    session.logger.warning(`Bulk update of context ${context.id} failed`, { error: error.message });
+    return { ...base, status: 'failed', changes: plan.changes, error: error.message };
+  }
+}
+
+// Tool implementations
+async function handleBulkUpdateContexts(args, apiClient, session, call = createCallContext()) {
+  try {
+    if (Boolean(args.context_ids) === Boolean(args.filter)) {
+      throw new Error('Provide exactly one of context_ids or filter');
+    }
+    if (!hasOperations(args.operations)) {
+      throw new Error('operations must include at least one of add_tags, remove_tags, set_category or set_favorite');
+    }
+
+    const results = [];
+    let contexts;
+
+    if (args.context_ids) {
+      const collected = await collectByIds(apiClient, [...new Set(args.context_ids)], args.concurrency, call);
+      results.push(...collected.failures);
+      contexts = collected.contexts;
+    } else {
+      contexts = await collectByFilter(apiClient, args.filter, args.max_items, call);
+    }
+
+    let processed = 0;
+    const updateResults = await mapWithConcurrency(contexts, args.concurrency, async (context) => {
+      const result = await updateOne(apiClient, session, context, args);
+      processed += 1;
+      call.progress(processed, contexts.length, `${args.dry_run ? 'Checked' : 'Updated'} ${processed} of ${contexts.length} contexts`);
+      return result;
+    }, { signal: call.signal });
+    results.push(...updateResults);
+
+    const summary = results.reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    session.logger.info(args.dry_run ? 'Bulk update dry run finished' : 'Bulk update finished', { summary });
+
+    const response = {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          message: args.dry_run ? 'Dry run: no contexts were changed' : 'Bulk update finished',
+          dry_run: args.dry_run,
+          matched: results.length,
+          summary,
+          results,
+        }, null, 2),
+      }],
+    };
+
+    if (results.length > 0 && results.every(result => result.status === 'failed')) {
+      response.isError = true;
+    }
+
+    return response;
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error in bulk update: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const BULK_UPDATE_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    dry_run: { type: 'boolean' },
+    matched: { type: 'integer' },
+    summary: STATUS_SUMMARY,
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          context_id: { type: 'string' },
+          title: { type: 'string' },
+          status: { type: 'string', enum: ['updated', 'would_update', 'unchanged', 'failed'] },
+          changes: { type: 'object' },
+          error: { type: 'string' }
+        },
+        required: ['context_id', 'status']
+      }
+    },
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'bulk_update_contexts',
+    title: 'Bulk Update Contexts',
+    description: 'Add or remove tags, change category or set the favorite flag on many contexts at once, selected by IDs or by the same filter as list_contexts. Supports dry runs and reports the outcome per context',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Contexts to update (use either this or filter)', minItems: 1, maxItems: 500 },
+        filter: {
+          type: 'object',
+          additionalProperties: false,
+          description: 'Select contexts like list_contexts does (use either this or context_ids)',
+          properties: {
+            contain: { type: 'string', description: 'Keyword to search for in context title and content' },
+            category: { type: 'string', description: 'Filter by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' },
+            from: { type: 'string', format: 'date-time', description: 'Start date for filtering (ISO datetime)' },
+            to: { type: 'string', format: 'date-time', description: 'End date for filtering (ISO datetime)' },
+            is_favorite: { type: 'boolean', description: 'Filter by favorite status' }
+          }
+        },
+        operations: {
+          type: 'object',
+          additionalProperties: false,
+          description: 'Changes to apply to every selected context',
+          properties: {
+            add_tags: { type: 'array', items: { type: 'string' }, description: 'Tags to add' },
+            remove_tags: { type: 'array', items: { type: 'string' }, description: 'Tags to remove' },
+            set_category: { type: 'string', description: 'New category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+            set_favorite: { type: 'boolean', description: 'New favorite status' }
+          }
+        },
+        dry_run: { type: 'boolean', description: 'Report what would change without updating anything', default: false },
+        concurrency: { type: 'number', description: 'Maximum number of API calls in flight', minimum: 1, maximum: 10, default: 4 },
+        max_items: { type: 'number', description: 'Refuse to run if the filter matches more contexts than this', minimum: 1, maximum: 1000, default: 200 }
+      },
+      required: ['operations']
+    },
+    outputSchema: BULK_UPDATE_OUTPUT,
+    handler: handleBulkUpdateContexts,
+    preview: dryRunPreview(handleBulkUpdateContexts)
+  }
+];
+
+module.exports = {
+  tools,
+  handleBulkUpdateContexts
+};
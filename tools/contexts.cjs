@@ -3,23 +3,20 @@
  * FIXED VERSION: Handles both direct array and paginated object responses
  */
 
-const { ConvolutAPIClient } = require('../utils/api-client.cjs');
+const { ConvolutAPIClient, normalizeListResponse } = require('../utils/api-client.cjs');
+const { projectItem, renderPage } = require('../utils/output.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
+const { updateContextWithHistory, diffSnapshots } = require('./history.cjs');
+const { CONTEXT_OUTPUT, CONTEXT_ITEM_OUTPUT, TRUNCATION_PROPERTIES, CONFIRMATION_PROPERTIES, FILES_INPUT } = require('./schemas.cjs');
 
-// Validation helpers
-function validateContextSearch(args) {
+// What list_contexts returns per context in fetch_all mode
+const COMPACT_FIELDS = ['id', 'title', 'category', 'tags', 'is_favorite', 'word_count', 'created_date', 'updated_date'];
+
+// Request builders (arguments have already been checked against the tool's inputSchema)
+function buildContextSearch(args) {
   const params = {};
-  if (args.limit !== undefined) {
-    if (typeof args.limit !== 'number' || args.limit < 1 || args.limit > 100) {
-      throw new Error('limit must be a number between 1 and 100');
-    }
-    params.limit = args.limit;
-  }
-  if (args.offset !== undefined) {
-    if (typeof args.offset !== 'number' || args.offset < 0) {
-      throw new Error('offset must be a non-negative number');
-    }
-    params.offset = args.offset;
-  }
+  if (args.limit !== undefined) params.limit = args.limit;
+  if (args.offset !== undefined) params.offset = args.offset;
   if (args.contain) params.contain = args.contain;
   if (args.category) params.category = args.category;
   if (args.tags && Array.isArray(args.tags)) params.tags = args.tags;
@@ -30,19 +27,13 @@ function validateContextSearch(args) {
   return params;
 }
 
-function validateContextId(args) {
-  if (!args.context_id || typeof args.context_id !== 'string') {
-    throw new Error('context_id is required and must be a string');
-  }
-  return { context_id: args.context_id };
-}
-
+// Whitespace-only text passes minLength, so it is rejected here
 function validateCreateContext(args) {
-  if (!args.title || typeof args.title !== 'string' || args.title.trim().length === 0) {
-    throw new Error('title is required and must be a non-empty string');
+  if (args.title.trim().length === 0) {
+    throw new Error('title must be a non-empty string');
   }
-  if (!args.content || typeof args.content !== 'string' || args.content.trim().length === 0) {
-    throw new Error('content is required and must be a non-empty string');
+  if (args.content.trim().length === 0) {
+    throw new Error('content must be a non-empty string');
   }
 
   const data = {
@@ -65,13 +56,13 @@ function validateCreateContext(args) {
 function validateUpdateContext(args) {
   const data = {};
   if (args.title !== undefined) {
-    if (typeof args.title !== 'string' || args.title.trim().length === 0) {
+    if (args.title.trim().length === 0) {
       throw new Error('title must be a non-empty string');
     }
     data.title = args.title.trim();
   }
   if (args.content !== undefined) {
-    if (typeof args.content !== 'string' || args.content.trim().length === 0) {
+    if (args.content.trim().length === 0) {
       throw new Error('content must be a non-empty string');
     }
     data.content = args.content.trim();
@@ -79,36 +70,72 @@ function validateUpdateContext(args) {
   if (args.category !== undefined) data.category = args.category;
   if (args.is_favorite !== undefined) data.is_favorite = args.is_favorite;
   if (args.tags !== undefined) data.tags = args.tags;
-  if (args.files !== undefined) data.files = args.files;
 
   return data;
 }
 
 // Tool implementations
-async function handleListContexts(args, apiClient) {
+async function handleListContexts(args, apiClient, session, call = createCallContext()) {
   try {
-    const params = validateContextSearch(args);
-    const response = await apiClient.listContexts(params);
-
-    // FIXED: Handle both response formats
-    const contexts = Array.isArray(response) ? response : response.items || [];
-    const totalCount = Array.isArray(response) ? response.length : response.total_count || 0;
-    const limit = params.limit || 20;
+    const params = buildContextSearch(args);
     const offset = params.offset || 0;
+    let contexts;
+    let pagination;
+
+    if (args.fetch_all) {
+      const { limit, offset: skipped, ...filter } = params;
+      // One past the page tells us whether there is more
+      const matches = await apiClient.listAllContexts(filter, {
+        maxItems: offset + args.max_items + 1,
+        onProgress: (fetched, total) => call.progress(fetched, total, `Fetched ${fetched} contexts`),
+      });
+      contexts = matches.slice(offset, offset + args.max_items);
+      pagination = { offset, hasMore: matches.length > offset + args.max_items };
+    } else {
+      // FIXED: Handle both response formats
+      const response = await apiClient.listContexts(params);
+      const { items, totalCount: reportedTotal } = normalizeListResponse(response);
+      const totalCount = reportedTotal === null ? items.length : reportedTotal;
+      contexts = items;
+      pagination = {
+        total: totalCount,
+        limit: params.limit || 20,
+        offset: offset,
+        hasMore: offset + items.length < totalCount,
+      };
+    }
+
+    // fetch_all is a listing, so it leaves content out unless fields asks for it
+    const fields = args.fields || (args.fetch_all ? COMPACT_FIELDS : undefined);
+    const projected = contexts.map(context => projectItem(context, { fields, previewChars: args.content_preview_chars }));
+
+    const { text, data } = renderPage(projected, {
+      format: args.format,
+      key: 'contexts',
+      offset,
+      maxChars: session.config.maxResponseChars,
+      meta: (count, truncation) => ({
+        pagination: {
+          ...pagination,
+          returned: count,
+          hasMore: pagination.hasMore || Boolean(truncation),
+          next_offset: pagination.hasMore || truncation ? offset + count : null,
+        },
+        ...truncation,
+      }),
+      summary: (count) => {
+        const range = count > 0 ? `${offset + 1}-${offset + count}` : 'none';
+        const more = pagination.hasMore || count < projected.length ? `; next offset ${offset + count}` : '';
+        return `Contexts ${range}${pagination.total !== undefined ? ` of ${pagination.total}` : ''}${more}`;
+      },
+    });
 
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify({
-          contexts: contexts,
-          pagination: {
-            total: totalCount,
-            limit: limit,
-            offset: offset,
-            hasMore: offset + contexts.length < totalCount,
-          },
-        }, null, 2),
+        text,
       }],
+      structuredContent: data,
     };
   } catch (error) {
     return {
@@ -123,8 +150,7 @@ async function handleListContexts(args, apiClient) {
 
 async function handleGetContext(args, apiClient) {
   try {
-    const { context_id } = validateContextId(args);
-    const context = await apiClient.getContext(context_id);
+    const context = await apiClient.getContext(args.context_id);
 
     return {
       content: [{
@@ -168,13 +194,12 @@ async function handleCreateContext(args, apiClient) {
   }
 }
 
-async function handleUpdateContext(args, apiClient) {
+async function handleUpdateContext(args, apiClient, session) {
   try {
     const { context_id, ...updates } = args;
-    validateContextId({ context_id });
     const updateData = validateUpdateContext(updates);
 
-    const context = await apiClient.updateContext(context_id, updateData);
+    const { context } = await updateContextWithHistory(apiClient, session, context_id, updateData);
 
     return {
       content: [{
@@ -196,17 +221,29 @@ async function handleUpdateContext(args, apiClient) {
   }
 }
 
-async function handleDeleteContext(args, apiClient) {
+async function handleDeleteContext(args, apiClient, session) {
   try {
-    const { context_id } = validateContextId(args);
-    await apiClient.deleteContext(context_id);
+    const { context_id } = args;
+
+    // Snapshot into the local trash first; without a snapshot the delete does not go ahead
+    const snapshot = await apiClient.getContext(context_id, { bypassCache: true });
+    const entry = await session.trash.add(snapshot);
+
+    try {
+      await apiClient.deleteContext(context_id);
+    } catch (error) {
+      await session.trash.remove(entry.trash_id);
+      throw error;
+    }
 
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
-          message: 'Context deleted successfully',
+          message: 'Context deleted successfully (a copy was kept in the local trash; use restore_context to undo)',
           context_id,
+          trash_id: entry.trash_id,
+          trash_expires_at: entry.expires_at,
         }, null, 2),
       }],
     };
@@ -221,10 +258,205 @@ async function handleDeleteContext(args, apiClient) {
   }
 }
 
+// Summary shown to the client before it confirms a deletion
+async function previewDeleteContext(args, apiClient) {
+  const context = await apiClient.getContext(args.context_id);
+  const content = context.content || '';
+
+  return {
+    action: 'delete_context',
+    context_id: context.id,
+    title: context.title,
+    category: context.category,
+    tags: context.tags || [],
+    word_count: context.word_count,
+    updated_date: context.updated_date,
+    content_excerpt: content.length > 300 ? `${content.slice(0, 300)}...` : content,
+  };
+}
+
+// What update_context would change, shown before the update is confirmed
+async function previewUpdateContext(args, apiClient) {
+  const { context_id, ...updates } = args;
+  const updateData = validateUpdateContext(updates);
+  const context = await apiClient.getContext(context_id, { bypassCache: true });
+
+  return {
+    action: 'update_context',
+    context_id: context.id,
+    title: context.title,
+    ...diffSnapshots(context, { ...context, ...updateData }, { fromLabel: 'current', toLabel: 'updated' }),
+  };
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const CONTEXT_CHANGE_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    context: CONTEXT_OUTPUT
+  },
+  required: ['message', 'context']
+};
+
+const UPDATE_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    ...CONTEXT_CHANGE_OUTPUT.properties,
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+const LIST_CONTEXTS_OUTPUT = {
+  type: 'object',
+  properties: {
+    contexts: { type: 'array', items: CONTEXT_ITEM_OUTPUT },
+    pagination: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        returned: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        next_offset: { type: ['integer', 'null'] }
+      },
+      required: ['offset', 'returned', 'hasMore', 'next_offset']
+    },
+    next_offset: { type: ['integer', 'null'] },
+    ...TRUNCATION_PROPERTIES
+  },
+  required: ['contexts', 'pagination']
+};
+
+const DELETE_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    context_id: { type: 'string' },
+    trash_id: { type: 'string' },
+    trash_expires_at: { type: ['string', 'null'] },
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'list_contexts',
+    title: 'List Contexts',
+    description: 'Search and filter contexts with advanced options including keywords, tags, categories, and date ranges',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        limit: { type: 'number', description: 'Maximum number of contexts to return (1-100)', minimum: 1, maximum: 100, default: 20 },
+        offset: { type: 'number', description: 'Number of contexts to skip for pagination', minimum: 0, default: 0 },
+        contain: { type: 'string', description: 'Keyword to search for in context title and content' },
+        category: { type: 'string', description: 'Filter by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' },
+        from: { type: 'string', format: 'date-time', description: 'Start date for filtering (ISO datetime)' },
+        to: { type: 'string', format: 'date-time', description: 'End date for filtering (ISO datetime)' },
+        is_favorite: { type: 'boolean', description: 'Filter by favorite status' },
+        fetch_all: { type: 'boolean', description: 'Page through every matching context and return a compact projection (id, title, category, tags, is_favorite, word_count, dates) without content; limit is ignored, offset skips that many matches', default: false },
+        max_items: { type: 'integer', minimum: 1, maximum: 10000, description: 'With fetch_all, the most contexts to return', default: 1000 },
+        fields: { type: 'array', items: { type: 'string', enum: ['id', 'title', 'content', 'category', 'tags', 'is_favorite', 'word_count', 'created_date', 'updated_date', 'files'] }, minItems: 1, description: 'Only return these fields of each context' },
+        content_preview_chars: { type: 'integer', minimum: 1, maximum: 2000, description: 'Replace content with a content_preview of at most this many characters (content is kept only if listed in fields)' },
+        format: { type: 'string', enum: ['json', 'table', 'markdown'], description: 'json, a compact one-line-per-context table, or a Markdown list', default: 'json' }
+      }
+    },
+    outputSchema: LIST_CONTEXTS_OUTPUT,
+    handler: handleListContexts
+  },
+  {
+    name: 'get_context',
+    title: 'Get Context',
+    description: 'Retrieve a specific context by its ID, including full content and metadata',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to retrieve' }
+      },
+      required: ['context_id']
+    },
+    outputSchema: CONTEXT_OUTPUT,
+    handler: handleGetContext
+  },
+  {
+    name: 'create_context',
+    title: 'Create Context',
+    description: 'Create a new context with title, content, tags, and metadata',
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', description: 'The title of the context', minLength: 1, maxLength: 200 },
+        content: { type: 'string', description: 'The main content of the context', minLength: 1 },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Tags to categorize the context' },
+        category: { type: 'string', description: 'Category for the context', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'], default: 'other' },
+        is_favorite: { type: 'boolean', description: 'Whether to mark the context as favorite', default: false },
+        files: FILES_INPUT
+      },
+      required: ['title', 'content']
+    },
+    outputSchema: CONTEXT_CHANGE_OUTPUT,
+    handler: handleCreateContext
+  },
+  {
+    name: 'update_context',
+    title: 'Update Context',
+    description: 'Update an existing context with new title, content, tags, or metadata',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to update' },
+        title: { type: 'string', description: 'New title for the context', minLength: 1, maxLength: 200 },
+        content: { type: 'string', description: 'New content for the context', minLength: 1 },
+        tags: { type: 'array', items: { type: 'string' }, description: 'New tags for the context' },
+        category: { type: 'string', description: 'New category for the context', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+        is_favorite: { type: 'boolean', description: 'Whether to mark the context as favorite' }
+      },
+      required: ['context_id']
+    },
+    outputSchema: UPDATE_CONTEXT_OUTPUT,
+    handler: handleUpdateContext,
+    preview: previewUpdateContext
+  },
+  {
+    name: 'delete_context',
+    title: 'Delete Context',
+    description: 'Delete a context by its ID. A copy is kept in the local trash and can be restored with restore_context. Unless confirmation is disabled, the first call returns a preview and a confirmation_token; call again with the token to delete',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to delete' },
+        confirmation_token: { type: 'string', description: 'Token from the preview response, confirming the deletion' }
+      },
+      required: ['context_id']
+    },
+    outputSchema: DELETE_CONTEXT_OUTPUT,
+    handler: handleDeleteContext,
+    preview: previewDeleteContext
+  }
+];
+
 module.exports = {
+  tools,
   handleListContexts,
   handleGetContext,
   handleCreateContext,
   handleUpdateContext,
-  handleDeleteContext
+  handleDeleteContext,
+  previewUpdateContext,
+  previewDeleteContext
 };
\ No newline at end of file
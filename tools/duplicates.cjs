@@ -0,0 +1,258 @@
+/**
+ * Duplicate detection MCP Tool: find near-identical contexts and optionally tag or consolidate them
+ */
+
+const { mapWithConcurrency, throwIfAborted } = require('../utils/concurrency.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
+const { findNearDuplicates, MIN_THRESHOLD } = require('../utils/similarity.cjs');
+const { updateContextWithHistory } = require('./history.cjs');
+
+// consolidate_contexts accepts 2-10 contexts, and each call is an AI request
+const CONSOLIDATE_MAX_CONTEXTS = 10;
+const MAX_CONSOLIDATIONS = 5;
+
+// Helpers
+async function collectContexts(apiClient, filter, maxItems, call) {
+  const contexts = await apiClient.listAllContexts(filter, {
+    maxItems: maxItems + 1,
+    onProgress: (fetched) => call.progress(fetched, undefined, `Collected ${fetched} contexts to scan`),
+  });
+  if (contexts.length > maxItems) {
+    throw new Error(`More than max_items (${maxItems}) contexts to scan; narrow the filter or raise max_items`);
+  }
+  return contexts;
+}
+
+function timestamp(value) {
+  const parsed = Date.parse(value || '');
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+// Favorites win, then the most recently updated, then the longest
+function pickKeeper(contexts) {
+  const ranked = [...contexts].sort((a, b) => (
+    Number(Boolean(b.is_favorite)) - Number(Boolean(a.is_favorite))
+    || timestamp(b.updated_date || b.created_date) - timestamp(a.updated_date || a.created_date)
+    || (b.content || '').length - (a.content || '').length
+  ));
+  const keeper = ranked[0];
+
+  let reason = 'no difference between the contexts';
+  if (keeper.is_favorite && ranked.slice(1).some(context => !context.is_favorite)) {
+    reason = 'marked as favorite';
+  } else if (ranked.length > 1 && timestamp(keeper.updated_date || keeper.created_date) > timestamp(ranked[1].updated_date || ranked[1].created_date)) {
+    reason = 'most recently updated';
+  } else if (ranked.length > 1 && (keeper.content || '').length > (ranked[1].content || '').length) {
+    reason = 'longest content';
+  }
+
+  return { keeper, reason };
+}
+
+function describeCluster(cluster, contexts, number) {
+  const members = cluster.members.map(index => contexts[index]);
+  const { keeper, reason } = pickKeeper(members);
+  const keeperIndex = cluster.members[members.indexOf(keeper)];
+
+  let maxSimilarity = 0;
+  cluster.members.forEach((a, i) => cluster.members.slice(i + 1).forEach(b => {
+    maxSimilarity = Math.max(maxSimilarity, cluster.similarity(a, b));
+  }));
+
+  return {
+    cluster: number,
+    size: members.length,
+    max_similarity: Math.round(maxSimilarity * 1000) / 1000,
+    keeper: { id: keeper.id, title: keeper.title, reason },
+    members: cluster.members.map(index => ({
+      id: contexts[index].id,
+      title: contexts[index].title,
+      similarity_to_keeper: Math.round(cluster.similarity(index, keeperIndex) * 1000) / 1000,
+      is_favorite: Boolean(contexts[index].is_favorite),
+      word_count: contexts[index].word_count,
+      updated_date: contexts[index].updated_date,
+    })),
+  };
+}
+
+async function tagDuplicates(apiClient, session, clusters, contextsById, reviewTag, concurrency, signal) {
+  const targets = clusters.flatMap(cluster => cluster.members
+    .filter(member => member.id !== cluster.keeper.id)
+    .map(member => ({ cluster: cluster.cluster, context: contextsById.get(member.id) })));
+
+  return mapWithConcurrency(targets, concurrency, async ({ cluster, context }) => {
+    const tags = context.tags || [];
+    if (tags.includes(reviewTag)) {
+      return { cluster, context_id: context.id, status: 'unchanged' };
+    }
+    try {
+      await updateContextWithHistory(apiClient, session, context.id, { tags: [...tags, reviewTag] }, { reason: 'find_duplicates', current: context });
+      return { cluster, context_id: context.id, status: 'tagged' };
+    } catch (error) {
+      return { cluster, context_id: context.id, status: 'failed', error: error.message };
+    }
+  }, { signal });
+}
+
+async function consolidateClusters(apiClient, clusters, consolidationType, signal) {
+  const results = [];
+
+  for (const cluster of clusters) {
+    throwIfAborted(signal);
+    if (cluster.size > CONSOLIDATE_MAX_CONTEXTS) {
+      results.push({ cluster: cluster.cluster, status: 'skipped', error: `cluster has more than ${CONSOLIDATE_MAX_CONTEXTS} contexts` });
+    } else if (results.filter(result => result.status !== 'skipped').length >= MAX_CONSOLIDATIONS) {
+      results.push({ cluster: cluster.cluster, status: 'skipped', error: `at most ${MAX_CONSOLIDATIONS} clusters are consolidated per call` });
+    } else {
+      try {
+        const result = await apiClient.consolidateContexts({
+          context_ids: cluster.members.map(member => member.id),
+          consolidation_type: consolidationType,
+        });
+        results.push({ cluster: cluster.cluster, status: 'consolidated', result });
+      } catch (error) {
+        results.push({ cluster: cluster.cluster, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+// Tool implementations
+async function handleFindDuplicates(args, apiClient, session, call = createCallContext()) {
+  try {
+    const scanned = await collectContexts(apiClient, args.filter || {}, args.max_items, call);
+    const contexts = scanned.filter(context => typeof context.content === 'string');
+    const documents = contexts.map(context => ({ id: context.id, text: `${context.title || ''}\n${context.content}` }));
+
+    const clusters = findNearDuplicates(documents, args.threshold)
+      .sort((a, b) => b.members.length - a.members.length)
+      .map((cluster, index) => describeCluster(cluster, contexts, index + 1));
+
+    const result = {
+      message: clusters.length > 0
+        ? `Found ${clusters.length} cluster${clusters.length === 1 ? '' : 's'} of near-duplicate contexts`
+        : 'No near-duplicate contexts found',
+      scanned_contexts: scanned.length,
+      skipped_without_content: scanned.length - contexts.length,
+      threshold: args.threshold,
+      clusters,
+    };
+
+    if (args.action === 'tag') {
+      const contextsById = new Map(contexts.map(context => [context.id, context]));
+      result.review_tag = args.review_tag;
+      result.tagged = await tagDuplicates(apiClient, session, clusters, contextsById, args.review_tag, args.concurrency, call.signal);
+    } else if (args.action === 'consolidate') {
+      result.consolidations = await consolidateClusters(apiClient, clusters, args.consolidation_type, call.signal);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error finding duplicates: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const FIND_DUPLICATES_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    scanned_contexts: { type: 'integer' },
+    skipped_without_content: { type: 'integer' },
+    threshold: { type: 'number' },
+    clusters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          cluster: { type: 'integer' },
+          size: { type: 'integer' },
+          max_similarity: { type: 'number' },
+          keeper: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              reason: { type: 'string' }
+            }
+          },
+          members: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                similarity_to_keeper: { type: 'number' },
+                is_favorite: { type: 'boolean' },
+                word_count: { type: ['number', 'null'] },
+                updated_date: { type: ['string', 'null'] }
+              }
+            }
+          }
+        },
+        required: ['cluster', 'size', 'keeper', 'members']
+      }
+    },
+    review_tag: { type: 'string' },
+    tagged: { type: 'array', items: { type: 'object' } },
+    consolidations: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['message', 'scanned_contexts', 'threshold', 'clusters']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'find_duplicates',
+    title: 'Find Duplicate Contexts',
+    description: 'Scan every context for near-duplicates (word shingles with MinHash) and group them into clusters with similarity scores and a suggested keeper. Can also tag the duplicates for review or consolidate each cluster',
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    // Only the tag and consolidate actions change contexts
+    isReadOnlyCall: args => args.action === 'none',
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        threshold: { type: 'number', description: 'Minimum Jaccard similarity (0-1) for two contexts to count as duplicates', minimum: MIN_THRESHOLD, maximum: 1, default: 0.8 },
+        filter: {
+          type: 'object',
+          additionalProperties: false,
+          description: 'Only scan contexts matching a list_contexts filter',
+          properties: {
+            category: { type: 'string', description: 'Filter by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' },
+            from: { type: 'string', format: 'date-time', description: 'Start date for filtering (ISO datetime)' },
+            to: { type: 'string', format: 'date-time', description: 'End date for filtering (ISO datetime)' },
+            is_favorite: { type: 'boolean', description: 'Filter by favorite status' }
+          }
+        },
+        action: { type: 'string', enum: ['none', 'tag', 'consolidate'], description: 'none only reports; tag adds review_tag to every duplicate except the keeper; consolidate runs consolidate_contexts on each cluster (up to 5 clusters of at most 10 contexts)', default: 'none' },
+        review_tag: { type: 'string', minLength: 1, description: 'Tag added with action "tag"', default: 'possible-duplicate' },
+        consolidation_type: { type: 'string', enum: ['summarize', 'compose'], description: 'Consolidation type with action "consolidate"', default: 'summarize' },
+        max_items: { type: 'number', description: 'Refuse to run if more contexts than this would be scanned', minimum: 1, maximum: 10000, default: 2000 },
+        concurrency: { type: 'number', description: 'Maximum number of API calls in flight when tagging', minimum: 1, maximum: 10, default: 4 }
+      }
+    },
+    outputSchema: FIND_DUPLICATES_OUTPUT,
+    handler: handleFindDuplicates
+  }
+];
+
+module.exports = {
+  tools,
+  handleFindDuplicates
+};
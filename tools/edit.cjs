@@ -0,0 +1,231 @@
+/**
+ * Patch-style editing MCP Tool: change part of a context without re-sending all of it
+ */
+
+const { splitLines, unifiedDiff, applyUnifiedDiff } = require('../utils/diff.cjs');
+const { findSection } = require('../utils/markdown.cjs');
+const { dryRunPreview } = require('../utils/policy.cjs');
+const { CONFIRMATION_PROPERTIES } = require('./schemas.cjs');
+const { updateContextWithHistory } = require('./history.cjs');
+
+// Helpers
+function requireFields(operation, fields) {
+  const missing = fields.filter(field => operation[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${operation.op} needs ${missing.join(' and ')}`);
+  }
+}
+
+// Join blocks of text with exactly one line break between them
+function joinBlocks(first, second) {
+  if (!first) return second;
+  if (!second) return first;
+  return `${first.replace(/\n*$/, '')}\n${second.replace(/^\n*/, '')}`;
+}
+
+function replaceLines(content, start, end, replacement) {
+  const lines = splitLines(content);
+  const trailingNewline = content.endsWith('\n');
+  lines.splice(start, end - start, ...replacement);
+  return lines.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+function countOccurrences(content, find) {
+  let count = 0;
+  let index = content.indexOf(find);
+  while (index !== -1) {
+    count++;
+    index = content.indexOf(find, index + find.length);
+  }
+  return count;
+}
+
+/**
+ * Apply one edit operation to the content.
+ *
+ * @returns {string} The new content
+ * @throws {Error} When the operation does not fit the content (a conflict)
+ */
+function applyOperation(content, operation) {
+  switch (operation.op) {
+    case 'append':
+      requireFields(operation, ['text']);
+      return joinBlocks(content, operation.text);
+
+    case 'prepend':
+      requireFields(operation, ['text']);
+      return joinBlocks(operation.text, content);
+
+    case 'insert_after_heading': {
+      requireFields(operation, ['heading', 'text']);
+      const lines = splitLines(content);
+      const section = findSection(lines, operation.heading);
+      // Insert below any blank lines that follow the heading, so the text lands at the top of the body
+      let position = section.bodyStart;
+      while (position < section.end && lines[position] === '') position++;
+      return replaceLines(content, position, position, splitLines(operation.text));
+    }
+
+    case 'replace_section': {
+      requireFields(operation, ['heading', 'text']);
+      const lines = splitLines(content);
+      const section = findSection(lines, operation.heading);
+      const body = splitLines(operation.text);
+      // Keep the blank lines the section had after its heading and before the next one
+      if (lines[section.bodyStart] === '' && section.bodyStart < section.end && body[0] !== '') body.unshift('');
+      if (section.end < lines.length && lines[section.end - 1] === '' && body[body.length - 1] !== '') body.push('');
+      return replaceLines(content, section.bodyStart, section.end, body);
+    }
+
+    case 'find_replace': {
+      requireFields(operation, ['find', 'replace']);
+      if (operation.find === '') throw new Error('find_replace needs a non-empty find string');
+
+      const expected = operation.expected_count !== undefined ? operation.expected_count : 1;
+      const found = countOccurrences(content, operation.find);
+      if (found !== expected) {
+        throw new Error(`find_replace expected ${expected} match${expected === 1 ? '' : 'es'} of ${JSON.stringify(operation.find)} but found ${found}`);
+      }
+      return content.split(operation.find).join(operation.replace);
+    }
+
+    case 'apply_diff':
+      requireFields(operation, ['diff']);
+      return applyUnifiedDiff(content, operation.diff);
+
+    default:
+      throw new Error(`Unknown edit operation "${operation.op}"`);
+  }
+}
+
+// Tool implementations
+async function handleEditContext(args, apiClient, session) {
+  try {
+    const current = await apiClient.getContext(args.context_id, { bypassCache: true });
+
+    // Optimistic concurrency: refuse to edit a context that changed since the caller last read it
+    if (args.expected_updated_date && current.updated_date !== args.expected_updated_date) {
+      throw new Error(`Conflict: the context was updated at ${current.updated_date}, not ${args.expected_updated_date}; read it again and retry`);
+    }
+
+    const original = current.content || '';
+    const content = args.operations.reduce((text, operation, index) => {
+      try {
+        return applyOperation(text, operation);
+      } catch (error) {
+        throw new Error(`Edit ${index + 1} (${operation.op}) failed, nothing was changed: ${error.message}`);
+      }
+    }, original);
+
+    const { diff, added, removed } = unifiedDiff(original, content, { fromLabel: 'before', toLabel: 'after', contextLines: 2 });
+    const summary = {
+      context_id: args.context_id,
+      operations: args.operations.length,
+      lines_added: added,
+      lines_removed: removed,
+      diff: diff || '(no change)',
+    };
+
+    if (args.dry_run || content === original) {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            message: args.dry_run ? 'Dry run: the context was not changed' : 'The edits leave the content unchanged; nothing was saved',
+            ...summary,
+          }, null, 2),
+        }],
+      };
+    }
+
+    const { context, version } = await updateContextWithHistory(apiClient, session, args.context_id, { content }, {
+      reason: 'edit_context',
+      current,
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          message: 'Context edited successfully',
+          ...summary,
+          updated_date: context && context.updated_date,
+          previous_version_saved_as: version ? version.version : null,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error editing context: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const EDIT_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    context_id: { type: 'string' },
+    operations: { type: 'integer' },
+    lines_added: { type: 'integer' },
+    lines_removed: { type: 'integer' },
+    diff: { type: 'string' },
+    updated_date: { type: ['string', 'null'] },
+    previous_version_saved_as: { type: ['integer', 'null'] },
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'edit_context',
+    title: 'Edit Context',
+    description: 'Edit part of a context without re-sending all of it: append, prepend, insert after a Markdown heading, replace a section body, find/replace with an expected match count, or apply a unified diff. Edits apply in order and either all succeed or nothing is saved',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context to edit' },
+        operations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          description: 'Edits to apply in order',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              op: { type: 'string', enum: ['append', 'prepend', 'insert_after_heading', 'replace_section', 'find_replace', 'apply_diff'], description: 'The kind of edit' },
+              text: { type: 'string', description: 'Text to add (append, prepend, insert_after_heading) or the new section body (replace_section)' },
+              heading: { type: 'string', minLength: 1, description: 'Heading text, "## Heading" to fix the level, or a path like "Project > Tasks"' },
+              find: { type: 'string', description: 'Exact text to find (find_replace)' },
+              replace: { type: 'string', description: 'Replacement text (find_replace)' },
+              expected_count: { type: 'integer', minimum: 1, description: 'How many matches find must have (find_replace, default 1)' },
+              diff: { type: 'string', description: 'Unified diff against the current content (apply_diff)' }
+            },
+            required: ['op']
+          }
+        },
+        expected_updated_date: { type: 'string', description: 'updated_date from when you read the context; the edit is refused if it has changed since' },
+        dry_run: { type: 'boolean', description: 'Return the resulting diff without saving', default: false }
+      },
+      required: ['context_id', 'operations']
+    },
+    outputSchema: EDIT_CONTEXT_OUTPUT,
+    handler: handleEditContext,
+    preview: dryRunPreview(handleEditContext)
+  }
+];
+
+module.exports = {
+  tools,
+  handleEditContext
+};
@@ -2,18 +2,22 @@
  * Export and Integration MCP Tools
  */
 
+const fs = require('fs');
 const { ConvolutAPIClient } = require('../utils/api-client.cjs');
+const { mapWithConcurrency } = require('../utils/concurrency.cjs');
+const { LOCAL_FORMATS, renderExport, resolveExportPath, writeExport, writeExportText } = require('../utils/exporters.cjs');
+const { computeStats, renderStatsMarkdown } = require('../utils/stats.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
 
-// Validation helpers
-function validateExportRequest(args) {
-  if (!args.context_ids || !Array.isArray(args.context_ids) || args.context_ids.length < 1 || args.context_ids.length > 100) {
-    throw new Error('context_ids must be an array of 1-100 context IDs');
-  }
-  
-  if (!args.format || !['json', 'xml', 'txt', 'markdown'].includes(args.format)) {
-    throw new Error('format must be one of: json, xml, txt, markdown');
-  }
-  
+// Formats rendered by the server's /contexts/export endpoint
+const SERVER_FORMATS = ['json', 'xml', 'txt'];
+const SERVER_EXPORT_LIMIT = 100;
+
+const EXPORT_PAGE_SIZE = 50;
+const EXPORT_CONCURRENCY = 4;
+
+// Request builders (arguments have already been checked against the tool's inputSchema)
+function buildExportRequest(args) {
   const request = {
     context_ids: args.context_ids,
     format: args.format,
@@ -23,31 +27,184 @@ function validateExportRequest(args) {
   return request;
 }
 
-function validateRawUrlRequest(args) {
-  if (!args.context_id || typeof args.context_id !== 'string') {
-    throw new Error('context_id is required and must be a string');
+// Helpers
+function validateExportArgs(args) {
+  if (Boolean(args.context_ids) === Boolean(args.filter)) {
+    throw new Error('Provide exactly one of context_ids or filter');
+  }
+  if (SERVER_FORMATS.includes(args.format)) {
+    if (!args.context_ids) {
+      throw new Error(`The ${args.format} format is rendered by the server and needs context_ids; use filter with ${LOCAL_FORMATS.join(', ')}`);
+    }
+    if (args.context_ids.length > SERVER_EXPORT_LIMIT) {
+      throw new Error(`The ${args.format} format accepts at most ${SERVER_EXPORT_LIMIT} context_ids`);
+    }
+  }
+  if ((args.filename || args.overwrite) && !args.write_to_file) {
+    throw new Error('filename and overwrite only apply with write_to_file: true');
+  }
+}
+
+// List results may omit content, in which case the full context is fetched
+async function withContent(apiClient, context) {
+  return typeof context.content === 'string' ? context : apiClient.getContext(context.id);
+}
+
+/**
+ * Yield contexts in batches so a file export never holds more than one batch in memory.
+ * Contexts that cannot be fetched are recorded in failures instead of aborting the export.
+ * Progress is reported after each batch.
+ */
+async function* fetchContextBatches(apiClient, args, failures, call) {
+  let processed = 0;
+  let total = null;
+  const reportBatch = (size) => {
+    processed += size;
+    call.progress(processed, total, `Exported ${processed} contexts`);
+  };
+
+  if (args.context_ids) {
+    const ids = [...new Set(args.context_ids)];
+    total = ids.length;
+
+    for (let start = 0; start < ids.length; start += EXPORT_PAGE_SIZE) {
+      const lookups = await mapWithConcurrency(ids.slice(start, start + EXPORT_PAGE_SIZE), EXPORT_CONCURRENCY, async (contextId) => {
+        try {
+          return await apiClient.getContext(contextId);
+        } catch (error) {
+          failures.push({ context_id: contextId, error: error.message });
+          return null;
+        }
+      }, { signal: call.signal });
+      reportBatch(lookups.length);
+      yield lookups.filter(Boolean);
+    }
+    return;
+  }
+
+  const pages = apiClient.iterateContextPages(args.filter, {
+    pageSize: EXPORT_PAGE_SIZE,
+    maxItems: args.max_items,
+    onProgress: (fetched, totalCount) => {
+      total = totalCount;
+    },
+  });
+  for await (const items of pages) {
+    const contexts = await mapWithConcurrency(items, EXPORT_CONCURRENCY, async (item) => {
+      try {
+        return await withContent(apiClient, item);
+      } catch (error) {
+        failures.push({ context_id: item.id, error: error.message });
+        return null;
+      }
+    }, { signal: call.signal });
+    reportBatch(contexts.length);
+    yield contexts.filter(Boolean);
+  }
+}
+
+function ensureWritable(filePath, overwrite) {
+  if (!overwrite && fs.existsSync(filePath)) {
+    throw new Error(`${filePath} already exists; pass overwrite: true or choose another filename`);
+  }
+}
+
+async function exportOnServer(args, apiClient, session, call) {
+  const request = buildExportRequest(args);
+  const stopHeartbeat = call.heartbeat(`Exporting ${request.context_ids.length} contexts on the server`);
+  let result;
+  try {
+    result = await apiClient.exportContexts(request);
+  } finally {
+    stopHeartbeat();
+  }
+
+  if (!args.write_to_file) {
+    return {
+      message: 'Contexts exported successfully',
+      format: request.format,
+      exported_contexts: request.context_ids.length,
+      include_metadata: request.include_metadata,
+      result,
+    };
+  }
+
+  const filePath = resolveExportPath(session.exportDir, args.filename, request.format);
+  ensureWritable(filePath, args.overwrite);
+  const { bytes } = await writeExportText(filePath, typeof result === 'string' ? result : JSON.stringify(result, null, 2));
+
+  return {
+    message: 'Contexts exported to file',
+    format: request.format,
+    exported_contexts: request.context_ids.length,
+    include_metadata: request.include_metadata,
+    file_path: filePath,
+    bytes,
+  };
+}
+
+async function exportLocally(args, apiClient, session, call) {
+  const includeMetadata = args.include_metadata !== undefined ? args.include_metadata : true;
+  const failures = [];
+  const batches = fetchContextBatches(apiClient, args, failures, call);
+
+  if (!args.write_to_file) {
+    const contexts = [];
+    for await (const batch of batches) contexts.push(...batch);
+
+    return {
+      message: 'Contexts exported successfully',
+      format: args.format,
+      exported_contexts: contexts.length,
+      include_metadata: includeMetadata,
+      failures,
+      result: renderExport(args.format, contexts, { includeMetadata }),
+    };
   }
-  return { context_id: args.context_id };
+
+  const filePath = resolveExportPath(session.exportDir, args.filename, args.format);
+  ensureWritable(filePath, args.overwrite);
+  const { bytes, count } = await writeExport(filePath, args.format, batches, { includeMetadata });
+
+  return {
+    message: 'Contexts exported to file',
+    format: args.format,
+    exported_contexts: count,
+    include_metadata: includeMetadata,
+    failures,
+    file_path: filePath,
+    bytes,
+  };
 }
 
 // Tool implementations
-async function handleExportContexts(args, apiClient) {
+async function handleExportContexts(args, apiClient, session, call = createCallContext()) {
   try {
-    const request = validateExportRequest(args);
-    const result = await apiClient.exportContexts(request);
+    validateExportArgs(args);
+    const summary = SERVER_FORMATS.includes(args.format)
+      ? await exportOnServer(args, apiClient, session, call)
+      : await exportLocally(args, apiClient, session, call);
     
-    return {
+    if (summary.file_path) {
+      session.logger.info(`Exported ${summary.exported_contexts} contexts to ${summary.file_path}`, { format: args.format, bytes: summary.bytes });
+    }
+    if (summary.failures && summary.failures.length > 0) {
+      session.logger.warning(`${summary.failures.length} contexts could not be exported`, { failures: summary.failures.slice(0, 10) });
+    }
+
+    const response = {
       content: [{
         type: 'text',
-        text: JSON.stringify({
-          message: 'Contexts exported successfully',
-          format: request.format,
-          exported_contexts: request.context_ids.length,
-          include_metadata: request.include_metadata,
-          result,
-        }, null, 2),
+        text: JSON.stringify(summary, null, 2),
       }],
     };
+
+    // Nothing could be fetched at all
+    if (summary.exported_contexts === 0 && summary.failures && summary.failures.length > 0) {
+      response.isError = true;
+    }
+
+    return response;
   } catch (error) {
     return {
       content: [{
@@ -61,7 +218,7 @@ async function handleExportContexts(args, apiClient) {
 
 async function handleGetRawUrl(args, apiClient) {
   try {
-    const request = validateRawUrlRequest(args);
+    const request = { context_id: args.context_id };
     const result = await apiClient.generateRawUrl(request);
     
     return {
@@ -87,53 +244,28 @@ async function handleGetRawUrl(args, apiClient) {
   }
 }
 
-async function handleGetContextStats(args, apiClient) {
+async function handleGetContextStats(args, apiClient, session, call = createCallContext()) {
   try {
-    const { date_range = '30d', group_by = 'category' } = args;
-    
-    // Get contexts for statistics (simplified implementation)
-    const allContexts = await apiClient.listContexts({ limit: 100 });
-    
-    // Calculate statistics based on group_by parameter
-    let stats = {};
-    
-    if (group_by === 'category') {
-      stats = allContexts.items.reduce((acc, context) => {
-        acc[context.category] = (acc[context.category] || 0) + 1;
-        return acc;
-      }, {});
-    } else if (group_by === 'favorite') {
-      stats = {
-        favorites: allContexts.items.filter(c => c.is_favorite).length,
-        non_favorites: allContexts.items.filter(c => !c.is_favorite).length,
-      };
-    } else if (group_by === 'tags') {
-      const tagCounts = {};
-      allContexts.items.forEach(context => {
-        context.tags.forEach(tag => {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        });
-      });
-      stats = tagCounts;
+    // Statistics cover the whole library, not just the first page
+    const contexts = await apiClient.listAllContexts({}, {
+      onProgress: (fetched, total) => call.progress(fetched, total, `Fetched ${fetched} contexts`),
+    });
+
+    const stats = computeStats(contexts, {
+      dateRange: args.date_range,
+      dateField: args.date_field,
+      groupBy: args.group_by,
+      interval: args.interval,
+      topPairs: args.top_tag_pairs,
+    });
+
+    const content = [];
+    if (args.format === 'markdown') {
+      content.push({ type: 'text', text: renderStatsMarkdown(stats) });
     }
+    content.push({ type: 'text', text: JSON.stringify(stats, null, 2) });
 
-    const result = {
-      total_contexts: allContexts.total_count,
-      date_range,
-      group_by,
-      statistics: stats,
-      total_words: allContexts.items.reduce((sum, ctx) => sum + (ctx.word_count || 0), 0),
-      avg_words_per_context: allContexts.items.length > 0 
-        ? Math.round(allContexts.items.reduce((sum, ctx) => sum + (ctx.word_count || 0), 0) / allContexts.items.length)
-        : 0,
-    };
-    
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2),
-      }],
-    };
+    return { content, structuredContent: stats };
   } catch (error) {
     return {
       content: [{
@@ -145,7 +277,150 @@ async function handleGetContextStats(args, apiClient) {
   }
 }
 
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const EXPORT_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    format: { type: 'string' },
+    exported_contexts: { type: 'integer' },
+    include_metadata: { type: 'boolean' },
+    failures: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          context_id: { type: 'string' },
+          error: { type: 'string' }
+        }
+      }
+    },
+    result: { description: 'The export itself, when it was not written to a file' },
+    file_path: { type: 'string' },
+    bytes: { type: 'integer' }
+  },
+  required: ['message', 'format', 'exported_contexts']
+};
+
+const RAW_URL_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    context_id: { type: 'string' },
+    raw_url: { type: 'string' },
+    expires_in_seconds: { type: 'number' },
+    expires_at: { type: 'string' }
+  },
+  required: ['context_id', 'raw_url']
+};
+
+const STATS_OUTPUT = {
+  type: 'object',
+  properties: {
+    date_range: { type: 'string' },
+    date_field: { type: 'string' },
+    from: { type: ['string', 'null'] },
+    to: { type: 'string' },
+    library_total: { type: 'integer' },
+    total_contexts: { type: 'integer' },
+    group_by: { type: 'string' },
+    statistics: { type: 'object', additionalProperties: { type: 'integer' } },
+    total_words: { type: 'number' },
+    avg_words_per_context: { type: 'number' },
+    word_count: { type: 'object' },
+    growth: { type: ['object', 'null'] },
+    time_series: {
+      type: 'object',
+      properties: {
+        interval: { type: 'string' },
+        buckets: { type: 'array', items: { type: 'object' } },
+        earlier_contexts: { type: 'integer', description: 'Contexts dated before the first bucket; the series keeps at most the last 1000 buckets' }
+      }
+    },
+    tag_cooccurrence: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['date_range', 'library_total', 'total_contexts', 'statistics']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'export_contexts',
+    title: 'Export Contexts',
+    description: 'Export contexts as CSV, JSONL, standalone HTML or Markdown with YAML front-matter (rendered locally), or JSON, XML or TXT (rendered by the server). Set write_to_file to save the export in the export directory and get back only the file path and a summary',
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    // Only write_to_file writes anything
+    isReadOnlyCall: args => !args.write_to_file,
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Context IDs to export (use either this or filter; at most 100 for json, xml and txt)', minItems: 1, maxItems: 1000 },
+        filter: {
+          type: 'object',
+          additionalProperties: false,
+          description: 'Export every context matching a list_contexts filter (csv, jsonl, html and markdown only)',
+          properties: {
+            contain: { type: 'string', description: 'Keyword to search for in context title and content' },
+            category: { type: 'string', description: 'Filter by category', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'] },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Filter by tags' },
+            from: { type: 'string', format: 'date-time', description: 'Start date for filtering (ISO datetime)' },
+            to: { type: 'string', format: 'date-time', description: 'End date for filtering (ISO datetime)' },
+            is_favorite: { type: 'boolean', description: 'Filter by favorite status' }
+          }
+        },
+        max_items: { type: 'number', description: 'Maximum number of contexts to export with filter', minimum: 1, maximum: 10000, default: 1000 },
+        format: { type: 'string', enum: ['json', 'xml', 'txt', 'markdown', 'csv', 'jsonl', 'html'], description: 'Export format', default: 'json' },
+        include_metadata: { type: 'boolean', description: 'Whether to include metadata', default: true },
+        write_to_file: { type: 'boolean', description: 'Write the export to the export directory instead of returning it inline', default: false },
+        filename: { type: 'string', pattern: '^[A-Za-z0-9_-][A-Za-z0-9._-]*$', maxLength: 200, description: 'File name inside the export directory (default: timestamped name)' },
+        overwrite: { type: 'boolean', description: 'Replace an existing file with the same name', default: false }
+      },
+      required: ['format']
+    },
+    outputSchema: EXPORT_OUTPUT,
+    handler: handleExportContexts
+  },
+  {
+    name: 'get_raw_url',
+    title: 'Get Raw URL',
+    description: 'Generate a temporary raw URL for a context that can be accessed without authentication (expires in 10 minutes)',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The unique identifier of the context to generate raw URL for' }
+      },
+      required: ['context_id']
+    },
+    outputSchema: RAW_URL_OUTPUT,
+    handler: handleGetRawUrl
+  },
+  {
+    name: 'get_context_stats',
+    title: 'Context Statistics',
+    description: 'Get statistics over the whole library for a date range: counts by group, a time series, word-count percentiles, growth against the previous period and tags used together',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        date_range: { type: 'string', enum: ['7d', '30d', '90d', '1y', 'all'], description: 'Time range for statistics', default: '30d' },
+        date_field: { type: 'string', enum: ['created_date', 'updated_date'], description: 'Which date places a context in the range and the time series', default: 'created_date' },
+        group_by: { type: 'string', enum: ['category', 'tags', 'date', 'favorite'], description: 'How to group the statistics', default: 'category' },
+        interval: { type: 'string', enum: ['day', 'week', 'month'], description: 'Time series bucket size (default: day for 7d/30d, week for 90d, month for 1y/all)' },
+        top_tag_pairs: { type: 'integer', minimum: 0, maximum: 100, description: 'How many tag pairs to report in tag_cooccurrence', default: 10 },
+        format: { type: 'string', enum: ['json', 'markdown'], description: 'markdown adds a table rendering before the JSON', default: 'json' }
+      }
+    },
+    outputSchema: STATS_OUTPUT,
+    handler: handleGetContextStats
+  }
+];
+
 module.exports = {
+  tools,
   handleExportContexts,
   handleGetRawUrl,
   handleGetContextStats
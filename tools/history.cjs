@@ -0,0 +1,403 @@
+/**
+ * Version history MCP Tools: list, diff and restore earlier versions of a context
+ */
+
+const { unifiedDiff } = require('../utils/diff.cjs');
+const { STRING_LIST, CONTEXT_OUTPUT, CONFIRMATION_PROPERTIES } = require('./schemas.cjs');
+
+const METADATA_FIELDS = ['title', 'tags', 'category', 'is_favorite'];
+
+// Helpers
+
+/**
+ * Update a context after snapshotting its current version into the local history.
+ * Every tool that changes a context goes through here so no edit is lost.
+ *
+ * @param {ConvolutAPIClient} apiClient
+ * @param {object} session - Provides history (HistoryStore)
+ * @param {string} contextId
+ * @param {object} updates - Fields for ConvolutAPIClient#updateContext
+ * @param {object} [options]
+ * @param {string} [options.reason] - Recorded with the snapshot (usually the tool name)
+ * @param {object} [options.current] - The context as already fetched, to save a lookup
+ * @returns {Promise<{ context: object, version: object|null }>} The updated context and the saved snapshot
+ */
+async function updateContextWithHistory(apiClient, session, contextId, updates, { reason = 'update_context', current } = {}) {
+  const previous = current && typeof current.content === 'string'
+    ? current
+    : await apiClient.getContext(contextId, { bypassCache: true });
+  const version = await session.history.record(previous, reason);
+
+  try {
+    const context = await apiClient.updateContext(contextId, updates);
+    if (version) session.logger.debug(`Saved version ${version.version} of context ${contextId}`, { reason });
+    return { context, version };
+  } catch (error) {
+    if (version) await session.history.remove(contextId, version.version);
+    throw error;
+  }
+}
+
+function summarizeVersion(entry) {
+  const { snapshot } = entry;
+  return {
+    version: entry.version,
+    saved_at: entry.saved_at,
+    reason: entry.reason,
+    title: snapshot.title,
+    category: snapshot.category,
+    tags: snapshot.tags || [],
+    content_length: (snapshot.content || '').length,
+    word_count: snapshot.word_count,
+    updated_date: snapshot.updated_date,
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Content diff and changed metadata between two snapshots of a context
+function diffSnapshots(from, to, { fromLabel, toLabel, contextLines } = {}) {
+  const { diff, added, removed } = unifiedDiff(from.content || '', to.content || '', { fromLabel, toLabel, contextLines });
+
+  const metadataChanges = {};
+  METADATA_FIELDS.forEach(field => {
+    if (to[field] !== undefined && !sameValue(from[field], to[field])) {
+      metadataChanges[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  return {
+    lines_added: added,
+    lines_removed: removed,
+    metadata_changes: metadataChanges,
+    diff: diff || '(content is identical)',
+  };
+}
+
+async function resolveRevision(session, apiClient, contextId, version) {
+  if (version === undefined || version === 'current') {
+    return { label: 'current', snapshot: await apiClient.getContext(contextId, { bypassCache: true }) };
+  }
+
+  const entry = await session.history.get(contextId, version);
+  if (!entry) {
+    throw new Error(`Version ${version} of context ${contextId} not found (it may have been pruned)`);
+  }
+  return { label: `version ${version} (${entry.saved_at})`, snapshot: entry.snapshot };
+}
+
+// Tool implementations
+async function handleListContextVersions(args, apiClient, session) {
+  try {
+    const { versions, retention, custom_retention: customRetention } = await session.history.list(args.context_id);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          context_id: args.context_id,
+          versions: versions.slice().reverse().slice(0, args.limit).map(summarizeVersion),
+          total_versions: versions.length,
+          retention,
+          custom_retention: customRetention,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error listing context versions: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+async function handleDiffContextVersions(args, apiClient, session) {
+  try {
+    const from = await resolveRevision(session, apiClient, args.context_id, args.from_version);
+    const to = await resolveRevision(session, apiClient, args.context_id, args.to_version);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          context_id: args.context_id,
+          from: from.label,
+          to: to.label,
+          ...diffSnapshots(from.snapshot, to.snapshot, { fromLabel: from.label, toLabel: to.label, contextLines: args.context_lines }),
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error diffing context versions: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+async function handleRestoreContextVersion(args, apiClient, session) {
+  try {
+    const entry = await session.history.get(args.context_id, args.version);
+    if (!entry) {
+      throw new Error(`Version ${args.version} of context ${args.context_id} not found (it may have been pruned)`);
+    }
+
+    const { snapshot } = entry;
+    const updates = {
+      title: snapshot.title,
+      content: snapshot.content,
+      tags: snapshot.tags || [],
+      category: snapshot.category || 'other',
+      is_favorite: Boolean(snapshot.is_favorite),
+    };
+
+    // The version being replaced is itself saved, so a restore can be undone
+    const { context, version } = await updateContextWithHistory(apiClient, session, args.context_id, updates, {
+      reason: `restore_context_version ${args.version}`,
+    });
+
+    const result = {
+      message: `Context restored to version ${args.version}`,
+      previous_version_saved_as: version ? version.version : null,
+      context,
+    };
+    // Like update_context, a restore cannot change attachments
+    if (JSON.stringify(snapshot.files || []) !== JSON.stringify((context && context.files) || [])) {
+      result.files_not_restored = snapshot.files || [];
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error restoring context version: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// What restore_context_version would change, shown before the restore is confirmed
+async function previewRestoreContextVersion(args, apiClient, session) {
+  const current = await resolveRevision(session, apiClient, args.context_id, 'current');
+  const target = await resolveRevision(session, apiClient, args.context_id, args.version);
+
+  return {
+    action: 'restore_context_version',
+    context_id: args.context_id,
+    title: current.snapshot.title,
+    ...diffSnapshots(current.snapshot, target.snapshot, { fromLabel: current.label, toLabel: target.label }),
+  };
+}
+
+async function handleSetVersionRetention(args, apiClient, session) {
+  try {
+    if (!args.reset && args.max_versions === undefined && args.retention_days === undefined) {
+      throw new Error('Specify max_versions, retention_days, or reset: true');
+    }
+
+    let retention = null;
+    if (!args.reset) {
+      retention = {};
+      if (args.max_versions !== undefined) retention.max_versions = args.max_versions;
+      if (args.retention_days !== undefined) retention.retention_days = args.retention_days;
+    }
+
+    const effective = await session.history.setRetention(args.context_id, retention);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          message: args.reset ? 'Retention reset to the server defaults' : 'Retention updated',
+          context_id: args.context_id,
+          retention: effective,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error setting version retention: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const RETENTION_OUTPUT = {
+  type: 'object',
+  properties: {
+    max_versions: { type: 'integer' },
+    retention_days: { type: 'integer' }
+  }
+};
+
+const LIST_VERSIONS_OUTPUT = {
+  type: 'object',
+  properties: {
+    context_id: { type: 'string' },
+    versions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          version: { type: 'integer' },
+          saved_at: { type: 'string' },
+          reason: { type: 'string' },
+          title: { type: 'string' },
+          category: { type: ['string', 'null'] },
+          tags: STRING_LIST,
+          content_length: { type: 'integer' },
+          word_count: { type: ['number', 'null'] },
+          updated_date: { type: ['string', 'null'] }
+        },
+        required: ['version', 'saved_at']
+      }
+    },
+    total_versions: { type: 'integer' },
+    retention: RETENTION_OUTPUT,
+    custom_retention: { type: 'boolean' }
+  },
+  required: ['context_id', 'versions', 'total_versions', 'retention']
+};
+
+const DIFF_VERSIONS_OUTPUT = {
+  type: 'object',
+  properties: {
+    context_id: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    lines_added: { type: 'integer' },
+    lines_removed: { type: 'integer' },
+    metadata_changes: { type: 'object' },
+    diff: { type: 'string' }
+  },
+  required: ['context_id', 'from', 'to', 'lines_added', 'lines_removed', 'diff']
+};
+
+const RESTORE_VERSION_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    previous_version_saved_as: { type: ['integer', 'null'] },
+    context: CONTEXT_OUTPUT,
+    files_not_restored: { type: 'array', items: { type: 'object' }, description: 'Attachments of the restored version, when they differ from the current ones; the update endpoint cannot change attachments' },
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+const SET_RETENTION_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    context_id: { type: 'string' },
+    retention: RETENTION_OUTPUT,
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'list_context_versions',
+    title: 'List Context Versions',
+    description: 'List the earlier versions of a context kept in the local history (a version is saved before every change made through this server), newest first',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context whose history to list' },
+        limit: { type: 'number', minimum: 1, maximum: 100, description: 'Maximum number of versions to return', default: 20 }
+      },
+      required: ['context_id']
+    },
+    outputSchema: LIST_VERSIONS_OUTPUT,
+    handler: handleListContextVersions
+  },
+  {
+    name: 'diff_context_versions',
+    title: 'Diff Context Versions',
+    description: 'Show a unified line diff of a context between two versions, or between a version and the current content, plus any title, tag, category or favorite changes',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context to diff' },
+        from_version: { type: 'integer', minimum: 1, description: 'Older version number (from list_context_versions)' },
+        to_version: { type: 'integer', minimum: 1, description: 'Newer version number (default: the current content)' },
+        context_lines: { type: 'integer', minimum: 0, maximum: 20, description: 'Unchanged lines shown around each change', default: 3 }
+      },
+      required: ['context_id', 'from_version']
+    },
+    outputSchema: DIFF_VERSIONS_OUTPUT,
+    handler: handleDiffContextVersions
+  },
+  {
+    name: 'restore_context_version',
+    title: 'Restore Context Version',
+    description: 'Restore a context to an earlier version (title, content, tags, category and favorite). The version being replaced is saved first, so a restore can be undone',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context to restore' },
+        version: { type: 'integer', minimum: 1, description: 'Version number to restore (from list_context_versions)' }
+      },
+      required: ['context_id', 'version']
+    },
+    outputSchema: RESTORE_VERSION_OUTPUT,
+    handler: handleRestoreContextVersion,
+    preview: previewRestoreContextVersion
+  },
+  {
+    name: 'set_version_retention',
+    title: 'Set Version Retention',
+    description: 'Change how many versions of one context are kept and for how long, or reset it to the server defaults',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context to configure' },
+        max_versions: { type: 'integer', minimum: 0, maximum: 1000, description: 'Versions to keep (0 turns history off for this context)' },
+        retention_days: { type: 'integer', minimum: 0, maximum: 3650, description: 'Days to keep versions (0 keeps them regardless of age)' },
+        reset: { type: 'boolean', description: 'Go back to the server defaults', default: false }
+      },
+      required: ['context_id']
+    },
+    outputSchema: SET_RETENTION_OUTPUT,
+    handler: handleSetVersionRetention
+  }
+];
+
+module.exports = {
+  tools,
+  updateContextWithHistory,
+  diffSnapshots,
+  handleListContextVersions,
+  handleDiffContextVersions,
+  handleRestoreContextVersion,
+  handleSetVersionRetention
+};
@@ -0,0 +1,258 @@
+/**
+ * Import MCP Tool: bring Markdown folders, Obsidian vaults and JSON/JSONL dumps into Convolut
+ * Shared by the import_contexts tool and the `convolut-mcp import` command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mapWithConcurrency } = require('../utils/concurrency.cjs');
+const { createCallContext } = require('../utils/progress.cjs');
+const { readImportSource, contentHash, normalizeTitle } = require('../utils/importers.cjs');
+const { STRING_LIST, STATUS_SUMMARY } = require('./schemas.cjs');
+
+// Helpers
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve the source path and make sure it may be read.
+ * With importRoots set, only paths inside them are allowed; remote (HTTP) callers need importRoots
+ * so they cannot read arbitrary files on the server.
+ */
+function resolveImportPath(sourcePath, { importRoots = [], remote = false }) {
+  const resolved = path.resolve(sourcePath);
+  const real = fs.existsSync(resolved) ? fs.realpathSync(resolved) : resolved;
+
+  if (importRoots.length === 0) {
+    if (remote) {
+      throw new Error('Imports over HTTP need importRoots to be configured');
+    }
+    return real;
+  }
+
+  const allowed = importRoots.some(root => {
+    const absoluteRoot = path.resolve(root);
+    return isInside(fs.existsSync(absoluteRoot) ? fs.realpathSync(absoluteRoot) : absoluteRoot, real);
+  });
+  if (!allowed) {
+    throw new Error(`${sourcePath} is outside the configured importRoots`);
+  }
+  return real;
+}
+
+// Index existing contexts by normalized title and content hash
+async function indexExistingContexts(apiClient) {
+  const titles = new Map();
+  const hashes = new Map();
+
+  for await (const context of apiClient.iterateContexts()) {
+    titles.set(normalizeTitle(context.title), context.id);
+    // List results without content can only be matched by title
+    if (typeof context.content === 'string') {
+      hashes.set(contentHash(context.content), context.id);
+    }
+  }
+
+  return { titles, hashes };
+}
+
+function findDuplicate(contextData, index) {
+  const byTitle = index.titles.get(normalizeTitle(contextData.title));
+  if (byTitle) return { reason: 'duplicate title', duplicate_of: byTitle };
+
+  const byContent = index.hashes.get(contentHash(contextData.content));
+  if (byContent) return { reason: 'duplicate content', duplicate_of: byContent };
+
+  return null;
+}
+
+/**
+ * Import contexts from a local path.
+ *
+ * @param {object} options - path, format, dry_run, skip_duplicates, recursive, max_files, category, tags, concurrency
+ * @param {ConvolutAPIClient} apiClient
+ * @param {object} access - importRoots, and remote: true when the caller is not on this machine
+ * @param {object} [call] - Cancellation signal and progress reporting (utils/progress.cjs)
+ * @returns {Promise<object>} Report with the resolved format, a summary and one result per file or entry
+ */
+async function importContexts(options, apiClient, access, call = createCallContext()) {
+  const sourcePath = resolveImportPath(options.path, access);
+  const { format, candidates } = await readImportSource(sourcePath, {
+    format: options.format,
+    recursive: options.recursive,
+    maxFiles: options.max_files,
+    category: options.category,
+    tags: options.tags,
+  });
+
+  const index = options.skip_duplicates
+    ? await indexExistingContexts(apiClient)
+    : { titles: new Map(), hashes: new Map() };
+
+  // Decide every entry first so duplicates inside the import itself are caught as well
+  const results = candidates.map(candidate => {
+    if (candidate.error) {
+      return { source: candidate.source, status: 'failed', error: candidate.error };
+    }
+
+    const { context } = candidate;
+    const duplicate = options.skip_duplicates ? findDuplicate(context, index) : null;
+    if (duplicate) {
+      return { source: candidate.source, status: 'skipped', title: context.title, ...duplicate };
+    }
+
+    index.titles.set(normalizeTitle(context.title), `(this import) ${candidate.source}`);
+    index.hashes.set(contentHash(context.content), `(this import) ${candidate.source}`);
+    return { source: candidate.source, status: 'pending', title: context.title, context };
+  });
+
+  // Entries already failed or skipped count as done
+  let processed = results.filter(result => result.status !== 'pending').length;
+  const reportEntry = () => {
+    processed += 1;
+    call.progress(processed, results.length, `${options.dry_run ? 'Checked' : 'Imported'} ${processed} of ${results.length} entries`);
+  };
+
+  await mapWithConcurrency(results, options.concurrency, async (result) => {
+    if (result.status !== 'pending') return;
+
+    const { context } = result;
+    delete result.context;
+
+    if (options.dry_run) {
+      result.status = 'would_create';
+      result.tags = context.tags;
+      result.category = context.category;
+      reportEntry();
+      return;
+    }
+
+    try {
+      const created = await apiClient.createContext(context);
+      result.status = 'created';
+      result.context_id = created && created.id;
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+    }
+    reportEntry();
+  }, { signal: call.signal });
+
+  const summary = results.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    message: options.dry_run ? 'Dry run: no contexts were created' : 'Import finished',
+    source: sourcePath,
+    format,
+    dry_run: options.dry_run,
+    total: results.length,
+    summary,
+    results,
+  };
+}
+
+// Tool implementations
+async function handleImportContexts(args, apiClient, session, call = createCallContext()) {
+  try {
+    const report = await importContexts(args, apiClient, {
+      importRoots: session.config.importRoots,
+      remote: session.config.transport === 'http',
+    }, call);
+    session.logger.info(`${report.message} from ${report.source}`, { format: report.format, summary: report.summary });
+    report.results.filter(result => result.status === 'failed').forEach(result => {
+      session.logger.warning(`Could not import ${result.source}`, { error: result.error });
+    });
+
+    const response = {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(report, null, 2),
+      }],
+    };
+
+    if (report.results.length > 0 && report.results.every(result => result.status === 'failed')) {
+      response.isError = true;
+    }
+
+    return response;
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error importing contexts: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const IMPORT_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    source: { type: 'string' },
+    format: { type: 'string' },
+    dry_run: { type: 'boolean' },
+    total: { type: 'integer' },
+    summary: STATUS_SUMMARY,
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string' },
+          status: { type: 'string', enum: ['created', 'would_create', 'skipped', 'failed'] },
+          title: { type: 'string' },
+          context_id: { type: ['string', 'null'] },
+          reason: { type: 'string' },
+          duplicate_of: { type: 'string' },
+          category: { type: ['string', 'null'] },
+          tags: STRING_LIST,
+          error: { type: 'string' }
+        },
+        required: ['source', 'status']
+      }
+    }
+  },
+  required: ['message', 'source', 'format', 'dry_run', 'total', 'summary', 'results']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'import_contexts',
+    title: 'Import Contexts',
+    description: 'Import a local folder of Markdown files (YAML front-matter for tags, category and favorite), an Obsidian vault, or a JSON/JSONL dump of contexts. Skips contexts whose title or content already exists, supports dry runs and reports the outcome per file',
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        path: { type: 'string', minLength: 1, description: 'Directory, Markdown file or JSON/JSONL file on the machine running the server' },
+        format: { type: 'string', enum: ['auto', 'markdown', 'obsidian', 'json', 'jsonl'], description: 'Source format (auto detects from the path; folders with .obsidian are vaults)', default: 'auto' },
+        dry_run: { type: 'boolean', description: 'Report what would be imported without creating anything', default: false },
+        skip_duplicates: { type: 'boolean', description: 'Skip entries whose title or content matches an existing context or an earlier entry', default: true },
+        recursive: { type: 'boolean', description: 'Include subdirectories', default: true },
+        category: { type: 'string', enum: ['personal', 'work', 'research', 'templates', 'prompts', 'other'], description: 'Category for entries that do not set one', default: 'other' },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Tags added to every imported context' },
+        max_files: { type: 'number', minimum: 1, maximum: 5000, description: 'Refuse folders with more Markdown files than this', default: 500 },
+        concurrency: { type: 'number', minimum: 1, maximum: 10, description: 'Maximum number of contexts created in parallel', default: 4 }
+      },
+      required: ['path']
+    },
+    outputSchema: IMPORT_OUTPUT,
+    handler: handleImportContexts
+  }
+];
+
+module.exports = {
+  tools,
+  importContexts,
+  handleImportContexts
+};
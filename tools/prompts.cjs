@@ -0,0 +1,154 @@
+/**
+ * MCP Prompts backed by the "prompts" and "templates" context categories
+ * {{placeholder}} variables in the content become prompt arguments
+ */
+
+const { encodeCursor, decodeCursor } = require('./resources.cjs');
+
+const PROMPT_CATEGORIES = ['prompts', 'templates'];
+const PROMPT_PAGE_SIZE = 50;
+// How long a fetched prompt list is reused; changes made through the same client refresh it sooner
+const PROMPT_CACHE_TTL_MS = 60000;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Helpers
+function promptError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function slugify(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function extractPlaceholders(content) {
+  const names = [];
+  for (const match of String(content || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+function fillPlaceholders(content, values) {
+  return String(content || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder;
+  });
+}
+
+// Prompt contexts per API client: { contexts, expiresAt }, with contexts a promise so concurrent lookups share one fetch
+const promptCache = new WeakMap();
+
+function fetchPromptContexts(apiClient) {
+  const cached = promptCache.get(apiClient);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.contexts;
+  }
+
+  if (!cached) {
+    apiClient.onContextChange(() => {
+      const entry = promptCache.get(apiClient);
+      if (entry) entry.expiresAt = 0;
+    });
+  }
+
+  const contexts = (async () => {
+    const found = [];
+    for (const category of PROMPT_CATEGORIES) {
+      found.push(...await apiClient.listAllContexts({ category }));
+    }
+    return found;
+  })();
+  promptCache.set(apiClient, { contexts, expiresAt: Date.now() + PROMPT_CACHE_TTL_MS });
+  // A failed fetch is not reused
+  contexts.catch(() => {
+    const entry = promptCache.get(apiClient);
+    if (entry && entry.contexts === contexts) entry.expiresAt = 0;
+  });
+  return contexts;
+}
+
+// Title slug plus the start of the id: unique, and unaffected by what other contexts are called
+function promptName(context) {
+  return [slugify(context.title), String(context.id).slice(0, 8)].filter(Boolean).join('-');
+}
+
+function buildPrompts(contexts) {
+  return contexts.map(context => {
+    const name = promptName(context);
+
+    return {
+      name,
+      context,
+      definition: {
+        name,
+        title: context.title,
+        description: `${context.category === 'templates' ? 'Template' : 'Prompt'} from Convolut: ${context.title}`,
+        arguments: extractPlaceholders(context.content).map(placeholder => ({
+          name: placeholder,
+          description: `Value for {{${placeholder}}}`,
+          required: true
+        }))
+      }
+    };
+  });
+}
+
+// Prompt handlers
+async function handleListPrompts(params, apiClient) {
+  const offset = decodeCursor(params.cursor);
+  const contexts = await fetchPromptContexts(apiClient);
+  const page = buildPrompts(contexts.slice(offset, offset + PROMPT_PAGE_SIZE));
+
+  const result = { prompts: page.map(prompt => prompt.definition) };
+  if (offset + page.length < contexts.length) {
+    result.nextCursor = encodeCursor(offset + page.length);
+  }
+
+  return result;
+}
+
+async function handleGetPrompt(params, apiClient) {
+  if (!params.name || typeof params.name !== 'string') {
+    throw promptError(-32602, 'name is required and must be a string');
+  }
+
+  const prompts = buildPrompts(await fetchPromptContexts(apiClient));
+  // Also accept the raw context id so clients can reference a prompt without listing first
+  const prompt = prompts.find(item => item.name === params.name || item.context.id === params.name);
+
+  if (!prompt) {
+    throw promptError(-32602, `Prompt not found: ${params.name}`);
+  }
+
+  const values = params.arguments || {};
+  const missing = prompt.definition.arguments
+    .map(argument => argument.name)
+    .filter(name => values[name] === undefined || values[name] === null);
+
+  if (missing.length > 0) {
+    throw promptError(-32602, `Missing required arguments for prompt "${prompt.name}": ${missing.join(', ')}`);
+  }
+
+  return {
+    description: prompt.definition.description,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: fillPlaceholders(prompt.context.content, values)
+      }
+    }]
+  };
+}
+
+module.exports = {
+  handleListPrompts,
+  handleGetPrompt
+};
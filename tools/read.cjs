@@ -0,0 +1,304 @@
+/**
+ * Partial reading MCP Tool: table of contents, sections, line/character ranges and
+ * token-budgeted chunks of a single context
+ */
+
+const { splitLines } = require('../utils/diff.cjs');
+const { findSection, buildOutline } = require('../utils/markdown.cjs');
+
+// Rough size of a token for English text; good enough to keep chunks under a budget
+const CHARS_PER_TOKEN = 4;
+
+// Helpers
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Character offset at which each line starts
+function lineOffsets(lines) {
+  const offsets = [];
+  let offset = 0;
+  lines.forEach(line => {
+    offsets.push(offset);
+    offset += line.length + 1;
+  });
+  return offsets;
+}
+
+// Line (0-based) containing a character offset
+function lineAt(offsets, charOffset) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= charOffset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Split content into character ranges of at most maxChars, breaking between lines and,
+ * once a chunk is half full, before headings. Lines longer than maxChars are cut.
+ * The same content always gives the same chunks, so chunk indexes stay valid between calls.
+ */
+function buildChunks(content, lines, headingLines, maxChars) {
+  const chunks = [];
+  let start = 0;
+  let size = 0;
+  let offset = 0;
+
+  lines.forEach((line, index) => {
+    const length = line.length + (index < lines.length - 1 || content.endsWith('\n') ? 1 : 0);
+    if (size > 0 && (size + length > maxChars || (headingLines.has(index) && size >= maxChars / 2))) {
+      chunks.push({ start, end: offset });
+      start = offset;
+      size = 0;
+    }
+
+    let remaining = length;
+    while (remaining > maxChars) {
+      chunks.push({ start, end: start + maxChars });
+      start += maxChars;
+      remaining -= maxChars;
+    }
+    size += remaining;
+    offset += length;
+  });
+
+  if (size > 0 || chunks.length === 0) chunks.push({ start, end: offset });
+  return chunks;
+}
+
+function requireArg(args, name, mode) {
+  if (args[name] === undefined) {
+    throw new Error(`mode "${mode}" needs ${name}`);
+  }
+}
+
+function readToc(lines) {
+  const offsets = lineOffsets(lines);
+  return {
+    headings: buildOutline(lines).map(heading => ({
+      level: heading.level,
+      text: heading.text,
+      path: heading.path,
+      line: heading.line + 1,
+      char_offset: offsets[heading.line],
+      end_line: heading.end,
+      word_count: countWords(lines.slice(heading.line + 1, heading.end).join('\n')),
+    })),
+  };
+}
+
+function readSection(args, lines) {
+  requireArg(args, 'heading', 'section');
+  const section = findSection(lines, args.heading);
+  let end = section.end;
+  if (!args.include_subsections) {
+    const own = buildOutline(lines).find(heading => heading.line === section.start);
+    end = own.ownEnd;
+  }
+
+  const text = lines.slice(section.start, end).join('\n');
+  return {
+    heading: section.heading.text,
+    start_line: section.start + 1,
+    end_line: end,
+    word_count: countWords(lines.slice(section.start + 1, end).join('\n')),
+    content: text,
+  };
+}
+
+function readLines(args, lines) {
+  requireArg(args, 'start_line', 'lines');
+  const end = Math.min(args.end_line !== undefined ? args.end_line : lines.length, lines.length);
+  if (args.start_line > lines.length) {
+    throw new Error(`start_line ${args.start_line} is past the end of the context (${lines.length} lines)`);
+  }
+  if (end < args.start_line) {
+    throw new Error('end_line must not be before start_line');
+  }
+
+  return {
+    start_line: args.start_line,
+    end_line: end,
+    content: lines.slice(args.start_line - 1, end).join('\n'),
+  };
+}
+
+function readChars(args, content) {
+  const start = args.start_char !== undefined ? args.start_char : 0;
+  const end = Math.min(args.end_char !== undefined ? args.end_char : content.length, content.length);
+  if (start > content.length) {
+    throw new Error(`start_char ${start} is past the end of the context (${content.length} characters)`);
+  }
+  if (end < start) {
+    throw new Error('end_char must not be before start_char');
+  }
+
+  return {
+    start_char: start,
+    end_char: end,
+    content: content.slice(start, end),
+  };
+}
+
+function readChunk(args, content, lines) {
+  const headingLines = new Set(buildOutline(lines).map(heading => heading.line));
+  const chunks = buildChunks(content, lines, headingLines, args.max_tokens * CHARS_PER_TOKEN);
+  if (args.chunk_index >= chunks.length) {
+    throw new Error(`chunk_index ${args.chunk_index} is out of range; this context has ${chunks.length} chunk${chunks.length === 1 ? '' : 's'} of up to ${args.max_tokens} tokens`);
+  }
+
+  const chunk = chunks[args.chunk_index];
+  const offsets = lineOffsets(lines);
+  const text = content.slice(chunk.start, chunk.end);
+  return {
+    chunk_index: args.chunk_index,
+    total_chunks: chunks.length,
+    next_chunk_index: args.chunk_index + 1 < chunks.length ? args.chunk_index + 1 : null,
+    start_char: chunk.start,
+    end_char: chunk.end,
+    start_line: lines.length > 0 ? lineAt(offsets, chunk.start) + 1 : 0,
+    end_line: lines.length > 0 ? lineAt(offsets, Math.max(chunk.start, chunk.end - 1)) + 1 : 0,
+    estimated_tokens: estimateTokens(text),
+    content: text,
+  };
+}
+
+// Tool implementations
+async function handleReadContext(args, apiClient) {
+  try {
+    const context = await apiClient.getContext(args.context_id);
+    const content = context.content || '';
+    const lines = splitLines(content);
+
+    let part;
+    switch (args.mode) {
+      case 'toc':
+        part = readToc(lines);
+        break;
+      case 'section':
+        part = readSection(args, lines);
+        break;
+      case 'lines':
+        part = readLines(args, lines);
+        break;
+      case 'chars':
+        part = readChars(args, content);
+        break;
+      case 'chunk':
+        part = readChunk(args, content, lines);
+        break;
+      default:
+        throw new Error(`Unknown mode "${args.mode}"`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          context_id: context.id,
+          title: context.title,
+          updated_date: context.updated_date,
+          mode: args.mode,
+          total_lines: lines.length,
+          total_chars: content.length,
+          total_words: countWords(content),
+          ...part,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error reading context: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const READ_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    context_id: { type: 'string' },
+    title: { type: 'string' },
+    updated_date: { type: ['string', 'null'] },
+    mode: { type: 'string', enum: ['toc', 'section', 'lines', 'chars', 'chunk'] },
+    total_lines: { type: 'integer' },
+    total_chars: { type: 'integer' },
+    total_words: { type: 'integer' },
+    headings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          level: { type: 'integer' },
+          text: { type: 'string' },
+          path: { type: 'string' },
+          line: { type: 'integer' },
+          char_offset: { type: 'integer' },
+          end_line: { type: 'integer' },
+          word_count: { type: 'integer' }
+        }
+      }
+    },
+    heading: { type: 'string' },
+    start_line: { type: 'integer' },
+    end_line: { type: 'integer' },
+    start_char: { type: 'integer' },
+    end_char: { type: 'integer' },
+    word_count: { type: 'integer' },
+    chunk_index: { type: 'integer' },
+    total_chunks: { type: 'integer' },
+    next_chunk_index: { type: ['integer', 'null'] },
+    estimated_tokens: { type: 'integer' },
+    content: { type: 'string' }
+  },
+  required: ['context_id', 'mode', 'total_lines', 'total_chars', 'total_words']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'read_context',
+    title: 'Read Context',
+    description: 'Read part of a long context: its table of contents (Markdown headings with line numbers, offsets and word counts), one section by heading path, a line or character range, or numbered chunks that fit a token budget',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        context_id: { type: 'string', format: 'uuid', description: 'The context to read' },
+        mode: { type: 'string', enum: ['toc', 'section', 'lines', 'chars', 'chunk'], description: 'What to return', default: 'toc' },
+        heading: { type: 'string', minLength: 1, description: 'section: heading text, "## Heading", or a path like "Parent > Child"' },
+        include_subsections: { type: 'boolean', description: 'section: include the headings nested under it', default: true },
+        start_line: { type: 'integer', minimum: 1, description: 'lines: first line (1-based)' },
+        end_line: { type: 'integer', minimum: 1, description: 'lines: last line, inclusive (default: the end)' },
+        start_char: { type: 'integer', minimum: 0, description: 'chars: first character offset (default 0)' },
+        end_char: { type: 'integer', minimum: 0, description: 'chars: offset to stop before (default: the end)' },
+        chunk_index: { type: 'integer', minimum: 0, description: 'chunk: which chunk to return (0-based); the response gives next_chunk_index', default: 0 },
+        max_tokens: { type: 'integer', minimum: 100, maximum: 20000, description: 'chunk: approximate token budget per chunk', default: 2000 }
+      },
+      required: ['context_id']
+    },
+    outputSchema: READ_CONTEXT_OUTPUT,
+    handler: handleReadContext
+  }
+];
+
+module.exports = {
+  tools,
+  handleReadContext
+};
@@ -0,0 +1,175 @@
+/**
+ * MCP Resources for Context Access
+ * Exposes every context as a convolut://contexts/{id} resource, plus tag and category views
+ */
+
+const { normalizeListResponse } = require('../utils/api-client.cjs');
+const { renderContextMarkdown } = require('../utils/exporters.cjs');
+
+const RESOURCE_PAGE_SIZE = 50;
+const VIEW_LIMIT = 100;
+
+// JSON-RPC error code reserved by MCP for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'convolut://contexts/{id}',
+    name: 'context',
+    title: 'Context by ID',
+    description: 'A single context with its full content and metadata',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'convolut://tags/{tag}',
+    name: 'contexts-by-tag',
+    title: 'Contexts by tag',
+    description: 'Index of contexts carrying the given tag',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'convolut://categories/{category}',
+    name: 'contexts-by-category',
+    title: 'Contexts by category',
+    description: 'Index of contexts in the given category (personal, work, research, templates, prompts, other)',
+    mimeType: 'text/markdown'
+  }
+];
+
+// Helpers
+function resourceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset), 'utf8').toString('base64');
+}
+
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null) return 0;
+  const offset = Number(Buffer.from(String(cursor), 'base64').toString('utf8'));
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw resourceError(-32602, `Invalid cursor: ${cursor}`);
+  }
+  return offset;
+}
+
+function contextUri(contextId) {
+  return `convolut://contexts/${encodeURIComponent(contextId)}`;
+}
+
+function parseResourceUri(uri) {
+  if (!uri || typeof uri !== 'string') {
+    throw resourceError(-32602, 'uri is required and must be a string');
+  }
+
+  const match = uri.match(/^convolut:\/\/(contexts|tags|categories)\/(.+)$/);
+  if (!match) {
+    throw resourceError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+
+  try {
+    return { kind: match[1], value: decodeURIComponent(match[2]) };
+  } catch (error) {
+    // Malformed percent-encoding, e.g. convolut://tags/%E0%A4
+    throw resourceError(-32602, `Invalid resource URI: ${uri}`);
+  }
+}
+
+// `more` names the list_contexts filter that shows the whole view when it was cut at VIEW_LIMIT
+function renderContextIndex(heading, contexts, more = null) {
+  const lines = [`# ${heading}`, ''];
+
+  if (contexts.length === 0) {
+    lines.push('_No contexts found._');
+  }
+
+  contexts.forEach(context => {
+    const details = [context.category, context.updated_date].filter(Boolean).join(', ');
+    lines.push(`- [${context.title}](${contextUri(context.id)})${details ? ` (${details})` : ''}`);
+  });
+
+  if (more) {
+    lines.push('', `_Only the first ${contexts.length} contexts are shown; more match. Call list_contexts with ${more} to see them all._`);
+  }
+
+  return lines.join('\n');
+}
+
+function toResource(context) {
+  return {
+    uri: contextUri(context.id),
+    name: context.title || context.id,
+    title: context.title,
+    description: [context.category, ...(context.tags || []).map(tag => `#${tag}`)].filter(Boolean).join(' '),
+    mimeType: 'text/markdown'
+  };
+}
+
+// Resource handlers
+async function handleListResources(params, apiClient) {
+  const offset = decodeCursor(params.cursor);
+  const { items: contexts, totalCount } = normalizeListResponse(await apiClient.listContexts({ limit: RESOURCE_PAGE_SIZE, offset }));
+  const hasMore = totalCount === null
+    ? contexts.length === RESOURCE_PAGE_SIZE
+    : offset + contexts.length < totalCount;
+
+  const result = { resources: contexts.map(toResource) };
+  if (hasMore) {
+    result.nextCursor = encodeCursor(offset + contexts.length);
+  }
+
+  return result;
+}
+
+async function handleListResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+async function handleReadResource(params, apiClient) {
+  const { kind, value } = parseResourceUri(params.uri);
+
+  if (kind === 'contexts') {
+    let context;
+    try {
+      context = await apiClient.getContext(value);
+    } catch (error) {
+      if (error.status === 404) {
+        throw resourceError(RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`);
+      }
+      throw error;
+    }
+
+    return {
+      contents: [{
+        uri: params.uri,
+        mimeType: 'text/markdown',
+        text: renderContextMarkdown(context)
+      }]
+    };
+  }
+
+  const filter = kind === 'tags' ? { tags: [value] } : { category: value };
+  // One past the limit tells whether the view is complete
+  const contexts = await apiClient.listAllContexts(filter, { maxItems: VIEW_LIMIT + 1 });
+  const heading = kind === 'tags' ? `Contexts tagged "${value}"` : `Contexts in category "${value}"`;
+  const more = contexts.length > VIEW_LIMIT ? JSON.stringify(filter) : null;
+
+  return {
+    contents: [{
+      uri: params.uri,
+      mimeType: 'text/markdown',
+      text: renderContextIndex(heading, contexts.slice(0, VIEW_LIMIT), more)
+    }]
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  handleListResources,
+  handleListResourceTemplates,
+  handleReadResource
+};
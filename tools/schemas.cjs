@@ -0,0 +1,69 @@
+/**
+ * Schema fragments shared by several tools, mostly for outputs
+ * outputSchema describes structuredContent for clients on protocol 2025-06-18 or later. It lists only
+ * what clients can rely on; the text result may carry the same data in other formats.
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    tags: { type: ['array', 'null'], items: { type: 'string' } },
+    is_favorite: { type: ['boolean', 'null'] },
+    word_count: { type: ['number', 'null'] },
+    created_date: { type: ['string', 'null'] },
+    updated_date: { type: ['string', 'null'] },
+    files: { type: ['array', 'null'] }
+  }
+};
+
+// A context after list_contexts/search_contexts projection: any subset of its fields, maybe a preview
+const CONTEXT_ITEM_OUTPUT = {
+  type: 'object',
+  properties: {
+    ...CONTEXT_OUTPUT.properties,
+    content_preview: { type: 'string' }
+  }
+};
+
+// Present when a listing was cut short to fit maxResponseChars
+const TRUNCATION_PROPERTIES = {
+  truncated: { type: 'boolean' },
+  note: { type: 'string' }
+};
+
+// Confirmation step of destructive tools (see utils/policy.cjs)
+const CONFIRMATION_PROPERTIES = {
+  preview: { type: 'object' },
+  confirmation_token: { type: 'string' },
+  expires_at: { type: 'string' }
+};
+
+// File attachments as create_context takes them; imports validate against the same schema
+const FILES_INPUT = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { name: { type: 'string' }, url: { type: 'string', format: 'uri' }, type: { type: 'string' } },
+    required: ['name', 'url', 'type']
+  },
+  description: 'File attachments for the context'
+};
+
+// Per-status counts, e.g. { "updated": 3, "failed": 1 }
+const STATUS_SUMMARY = { type: 'object', additionalProperties: { type: 'integer' } };
+
+module.exports = {
+  STRING_LIST,
+  CONTEXT_OUTPUT,
+  CONTEXT_ITEM_OUTPUT,
+  TRUNCATION_PROPERTIES,
+  CONFIRMATION_PROPERTIES,
+  STATUS_SUMMARY,
+  FILES_INPUT
+};
@@ -0,0 +1,253 @@
+/**
+ * MCP Tools for the local trash of deleted contexts
+ */
+
+const { STRING_LIST, CONTEXT_OUTPUT, CONFIRMATION_PROPERTIES } = require('./schemas.cjs');
+
+// Helpers
+function summarizeEntry(entry) {
+  const { context } = entry;
+  return {
+    trash_id: entry.trash_id,
+    context_id: context.id,
+    title: context.title,
+    category: context.category,
+    tags: context.tags || [],
+    word_count: context.word_count,
+    deleted_at: entry.deleted_at,
+    expires_at: entry.expires_at,
+  };
+}
+
+function buildPurgeCriteria(args) {
+  if (!args.all && !args.trash_ids && args.older_than_days === undefined) {
+    throw new Error('Specify trash_ids, older_than_days, or all: true');
+  }
+
+  const criteria = {};
+  if (args.trash_ids) criteria.trashIds = args.trash_ids;
+  if (args.older_than_days !== undefined) criteria.olderThanDays = args.older_than_days;
+  return criteria;
+}
+
+// Tool implementations
+async function handleListTrash(args, apiClient, session) {
+  try {
+    let entries = await session.trash.list();
+
+    if (args.contain) {
+      const needle = args.contain.toLowerCase();
+      entries = entries.filter(entry => `${entry.context.title}\n${entry.context.content}`.toLowerCase().includes(needle));
+    }
+
+    // Most recently deleted first
+    entries.sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at));
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          trash: entries.slice(0, args.limit).map(summarizeEntry),
+          total: entries.length,
+          retention_days: session.trash.retentionDays || null,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error listing trash: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+async function handleRestoreContext(args, apiClient, session) {
+  try {
+    const entry = await session.trash.get(args.trash_id);
+    if (!entry) {
+      throw new Error(`Trash entry ${args.trash_id} not found (it may have expired or been purged)`);
+    }
+
+    const { context: snapshot } = entry;
+    const contextData = {
+      title: snapshot.title,
+      content: snapshot.content,
+      tags: snapshot.tags || [],
+      category: snapshot.category || 'other',
+      is_favorite: Boolean(snapshot.is_favorite),
+    };
+    if (snapshot.files && snapshot.files.length) {
+      contextData.files = snapshot.files;
+    }
+
+    const context = await apiClient.createContext(contextData);
+    await session.trash.remove(entry.trash_id);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          message: 'Context restored successfully (it has a new ID)',
+          original_context_id: snapshot.id,
+          context,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error restoring context: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+async function handlePurgeTrash(args, apiClient, session) {
+  try {
+    const removed = await session.trash.purge(buildPurgeCriteria(args));
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          message: `Permanently purged ${removed.length} trash entr${removed.length === 1 ? 'y' : 'ies'}`,
+          purged: removed.map(entry => entry.trash_id),
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error purging trash: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Summary shown to the client before it confirms a purge
+async function previewPurgeTrash(args, apiClient, session) {
+  const entries = await session.trash.find(buildPurgeCriteria(args));
+
+  return {
+    action: 'purge_trash',
+    entries_to_purge: entries.length,
+    entries: entries.map(summarizeEntry),
+  };
+}
+
+// Output schemas (structuredContent for clients on protocol 2025-06-18 or later)
+const LIST_TRASH_OUTPUT = {
+  type: 'object',
+  properties: {
+    trash: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          trash_id: { type: 'string' },
+          context_id: { type: 'string' },
+          title: { type: 'string' },
+          category: { type: ['string', 'null'] },
+          tags: STRING_LIST,
+          word_count: { type: ['number', 'null'] },
+          deleted_at: { type: 'string' },
+          expires_at: { type: ['string', 'null'] }
+        },
+        required: ['trash_id', 'context_id', 'deleted_at']
+      }
+    },
+    total: { type: 'integer' },
+    retention_days: { type: ['integer', 'null'] }
+  },
+  required: ['trash', 'total']
+};
+
+const RESTORE_CONTEXT_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    original_context_id: { type: 'string' },
+    context: CONTEXT_OUTPUT
+  },
+  required: ['message', 'original_context_id', 'context']
+};
+
+const PURGE_TRASH_OUTPUT = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    purged: STRING_LIST,
+    ...CONFIRMATION_PROPERTIES
+  },
+  required: ['message']
+};
+
+// Tool definitions
+const tools = [
+  {
+    name: 'list_trash',
+    title: 'List Trash',
+    description: 'List contexts in the local trash (deleted contexts that can still be restored)',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        limit: { type: 'number', description: 'Maximum number of entries to return', minimum: 1, maximum: 100, default: 20 },
+        contain: { type: 'string', description: 'Keyword to search for in the title and content of trashed contexts' }
+      }
+    },
+    outputSchema: LIST_TRASH_OUTPUT,
+    handler: handleListTrash
+  },
+  {
+    name: 'restore_context',
+    title: 'Restore Context from Trash',
+    description: 'Restore a deleted context from the local trash by re-creating it with its title, content, tags, category, favorite flag and files (the restored context gets a new ID)',
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        trash_id: { type: 'string', format: 'uuid', description: 'The trash entry to restore, as returned by list_trash or delete_context' }
+      },
+      required: ['trash_id']
+    },
+    outputSchema: RESTORE_CONTEXT_OUTPUT,
+    handler: handleRestoreContext
+  },
+  {
+    name: 'purge_trash',
+    title: 'Purge Trash',
+    description: 'Permanently remove entries from the local trash. Unless confirmation is disabled, the first call returns a preview and a confirmation_token; call again with the token to purge',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        trash_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Specific trash entries to purge', minItems: 1 },
+        older_than_days: { type: 'number', description: 'Purge entries deleted more than this many days ago', minimum: 0 },
+        all: { type: 'boolean', description: 'Purge the whole trash' },
+        confirmation_token: { type: 'string', description: 'Token from the preview response, confirming the purge' }
+      }
+    },
+    outputSchema: PURGE_TRASH_OUTPUT,
+    handler: handlePurgeTrash,
+    preview: previewPurgeTrash
+  }
+];
+
+module.exports = {
+  tools,
+  handleListTrash,
+  handleRestoreContext,
+  handlePurgeTrash,
+  previewPurgeTrash
+};
@@ -80,4 +80,18 @@ export const ExportRequest = {
 
 export const RawUrlRequest = {
   context_id: ''
-};
\ No newline at end of file
+};
+
+export const BulkUpdateRequest = {
+  context_ids: null, // string[] - either this or filter
+  filter: null, // ContextSearchParams without limit/offset
+  operations: {
+    add_tags: [],
+    remove_tags: [],
+    set_category: null,
+    set_favorite: null
+  },
+  dry_run: false,
+  concurrency: 4,
+  max_items: 200
+};
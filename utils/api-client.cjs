@@ -3,140 +3,378 @@
  * FIXED VERSION: Handles both direct array and paginated object responses
  */
 
+const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const { TTLCache } = require('./cache.cjs');
+
+const { CircuitBreaker } = require('./circuit-breaker.cjs');
+const { cancelledError, throwIfAborted, RequestQueue } = require('./concurrency.cjs');
+
+const CONTEXT_PAGE_SIZE = 100;
+const DEFAULT_PAGE_PREFETCH = 3;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+// Methods that are safe to repeat after an ambiguous failure
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+// Failures that happen before the request reaches the server, so even POSTs can be retried
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+const DEFAULT_REQUEST_POLICY = {
+  timeoutMs: 10000,
+  retries: 3,
+  backoffBaseMs: 250,
+  backoffMaxMs: 8000,
+  maxRetryAfterMs: 60000,
+};
+
+// AI and export operations legitimately run much longer than a list call
+const DEFAULT_OPERATION_POLICIES = {
+  consolidate: { timeoutMs: 120000, retries: 1 },
+  plan: { timeoutMs: 120000, retries: 1 },
+  export: { timeoutMs: 60000 },
+};
+
+class ConvolutAPIError extends Error {
+  constructor(message, { status = null, body = null, code = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ConvolutAPIError';
+    this.status = status;
+    this.body = body;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function apiError(statusCode, body, headers = {}) {
+  return new ConvolutAPIError(`API Error ${statusCode}: ${body}`, {
+    status: statusCode,
+    body,
+    retryAfterMs: parseRetryAfter(headers['retry-after']),
+  });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * The list endpoint returns either a bare array or { items, total_count }.
+ *
+ * @returns {{ items: object[], totalCount: number|null }}
+ */
+function normalizeListResponse(response) {
+  if (Array.isArray(response)) {
+    return { items: response, totalCount: null };
+  }
+  const totalCount = response && typeof response.total_count === 'number' ? response.total_count : null;
+  return { items: (response && response.items) || [], totalCount };
+}
+
+// Resolves after ms, or rejects as soon as the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Redirects carry the api_key header, so they may not leave the origin or drop TLS
+function redirectRefusal(from, to) {
+  if (from.protocol === 'https:' && to.protocol !== 'https:') {
+    return 'it would send the API key without TLS';
+  }
+  if (to.origin !== from.origin) {
+    return 'it would send the API key to another origin';
+  }
+  return null;
+}
+
+function contextNotFound(contextId) {
+  const error = new Error(`Context with ID ${contextId} not found`);
+  error.status = 404;
+  return error;
+}
 
 class ConvolutAPIClient {
-  constructor(apiKey) {
-    this.baseUrl = 'https://api.convolut.app/v1';
+  constructor(apiKey, options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://api.convolut.app/v1').replace(/\/+$/, '');
     this.apiKey = apiKey;
+    this.userAgent = options.userAgent || 'convolut-mcp-client/1.0.0';
+    this.contextCache = new TTLCache({
+      ttlMs: options.cacheTtlMs !== undefined ? options.cacheTtlMs : 60000,
+      maxEntries: options.cacheMaxEntries !== undefined ? options.cacheMaxEntries : 500,
+    });
+    // Whether GET /contexts/{id} exists: null until a lookup tells us. An object, so the
+    // per-call clients made by withSignal share what any of them learns
+    this.directLookup = { supported: null };
+
+    this.requestPolicy = { ...DEFAULT_REQUEST_POLICY, ...(options.request || {}) };
+    this.operationPolicies = { ...DEFAULT_OPERATION_POLICIES };
+    Object.entries(options.operations || {}).forEach(([operation, policy]) => {
+      this.operationPolicies[operation] = { ...this.operationPolicies[operation], ...policy };
+    });
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    // List pages requested ahead of the one being consumed by iterateContexts
+    this.pagePrefetch = options.pagePrefetch || DEFAULT_PAGE_PREFETCH;
+    // Optional Logger (utils/logger.cjs)
+    this.logger = options.logger || null;
+    // Set on the per-call clients made by withSignal
+    this.signal = null;
+    // Limits concurrent upstream requests; pass one queue to several clients to share the limit
+    this.requestQueue = options.requestQueue || new RequestQueue();
+    // Called after every successful create, update or delete (e.g. to keep a search index current)
+    this.changeListeners = [];
+  }
+
+  /**
+   * Subscribe to context changes made through this client.
+   *
+   * @param {Function} listener - ({ type: 'created'|'updated'|'deleted', id, context? }) => void
+   * @returns {Function} Unsubscribe
+   */
+  onContextChange(listener) {
+    this.changeListeners.push(listener);
+    return () => {
+      this.changeListeners = this.changeListeners.filter(candidate => candidate !== listener);
+    };
   }
 
-  async request(endpoint, options = {}, maxRedirects = 5) {
+  emitContextChange(change) {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        this.log('error', `Context change listener failed: ${error.message}`);
+      }
+    });
+  }
+
+  log(level, message, data) {
+    if (this.logger) this.logger.log(level, message, data);
+  }
+
+  /**
+   * A view of this client whose requests are aborted with the signal (their sockets destroyed).
+   * It shares the cache, circuit breaker and change listeners with this client.
+   *
+   * @param {AbortSignal} signal
+   * @returns {ConvolutAPIClient}
+   */
+  withSignal(signal) {
+    const scoped = Object.create(this);
+    scoped.signal = signal;
+    return scoped;
+  }
+
+  // Effective timeout/retry settings: defaults < operation policy < per-call options
+  getRequestPolicy(operation, options = {}) {
+    const policy = { ...this.requestPolicy, ...(this.operationPolicies[operation] || {}) };
+    if (options.timeoutMs !== undefined) policy.timeoutMs = options.timeoutMs;
+    if (options.retries !== undefined) policy.retries = options.retries;
+    return policy;
+  }
+
+  async request(endpoint, options = {}) {
+    const method = options.method || 'GET';
+    const policy = this.getRequestPolicy(options.operation, options);
     const url = new URL(`${this.baseUrl}${endpoint}`);
+    const signal = options.signal || this.signal;
+
+    for (let attempt = 0; ; attempt++) {
+      throwIfAborted(signal);
+      this.circuitBreaker.beforeRequest();
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.requestQueue.run(
+          () => this.send(url, { ...options, method, signal }, policy.timeoutMs, MAX_REDIRECTS),
+          { signal }
+        );
+        this.circuitBreaker.recordSuccess();
+        this.log('debug', `${method} ${url.pathname} succeeded`, { duration_ms: Date.now() - startedAt, attempt: attempt + 1 });
+        return response;
+      } catch (error) {
+        if (error.code === 'ECANCELLED' || error.code === 'EQUEUEFULL') {
+          // Neither says anything about the server's health
+          this.circuitBreaker.recordCancelled();
+          if (error.code === 'ECANCELLED') {
+            this.log('debug', `${method} ${url.pathname} cancelled`);
+          } else {
+            this.log('warning', `${method} ${url.pathname} rejected: the request queue is full`, { max_queued: this.requestQueue.maxQueued });
+          }
+          throw error;
+        }
+
+        const upstreamFailure = this.isUpstreamFailure(error);
+        if (upstreamFailure) {
+          const wasOpen = this.circuitBreaker.state === 'open';
+          this.circuitBreaker.recordFailure();
+          if (!wasOpen && this.circuitBreaker.state === 'open') {
+            this.log('error', 'Convolut API circuit opened after repeated failures; requests fail fast until it resets', { error: error.message });
+          }
+        } else {
+          // The server answered (e.g. 400/404), so it is healthy even though this call failed
+          this.circuitBreaker.recordSuccess();
+        }
+
+        const delay = this.getRetryDelay(error, method, attempt, policy);
+        if (delay === null) {
+          this.log('debug', `${method} ${url.pathname} failed`, { error: error.message, status: error.status, attempt: attempt + 1 });
+          throw error;
+        }
+        this.log('warning', `${method} ${url.pathname} failed, retrying in ${delay}ms`, { error: error.message, status: error.status, attempt: attempt + 1, retries: policy.retries });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  isUpstreamFailure(error) {
+    if (error.status) {
+      return RETRYABLE_STATUSES.includes(error.status);
+    }
+    return error.code === 'ETIMEDOUT' || RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  // Returns how long to wait before the next attempt, or null when the error should be surfaced
+  getRetryDelay(error, method, attempt, policy) {
+    if (attempt >= policy.retries) return null;
+
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+    let retryable;
+
+    if (error.status) {
+      // 429 and 503 with Retry-After mean the request was not processed, whatever the method
+      const explicitlyDeferred = (error.status === 429 || error.status === 503) && error.retryAfterMs !== null;
+      retryable = RETRYABLE_STATUSES.includes(error.status) && (idempotent || explicitlyDeferred || error.status === 429);
+    } else {
+      retryable = idempotent
+        ? RETRYABLE_NETWORK_CODES.includes(error.code)
+        : UNSENT_NETWORK_CODES.includes(error.code);
+    }
+
+    if (!retryable) return null;
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= policy.maxRetryAfterMs ? error.retryAfterMs : null;
+    }
 
+    // Exponential backoff with jitter in [50%, 100%] of the capped delay
+    const cappedDelay = Math.min(policy.backoffMaxMs, policy.backoffBaseMs * 2 ** attempt);
+    return Math.round(cappedDelay * (0.5 + Math.random() * 0.5));
+  }
+
+  // Performs a single HTTP exchange, following redirects
+  send(url, options, timeoutMs, redirectsLeft) {
     const requestOptions = {
       hostname: url.hostname,
-      port: url.port || 443,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
       path: url.pathname + url.search,
-      method: options.method || 'GET',
+      method: options.method,
       headers: {
         'Content-Type': 'application/json',
         'api_key': this.apiKey,
-        'User-Agent': 'convolut-mcp-client/1.0.0',
+        'User-Agent': this.userAgent,
         ...options.headers,
       },
     };
+    // Plain http:// is allowed so the client can talk to a local stand-in server
+    const transport = url.protocol === 'http:' ? http : https;
+    const { signal } = options;
 
     return new Promise((resolve, reject) => {
-      const req = https.request(requestOptions, (res) => {
+      if (signal && signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
+
+      const req = transport.request(requestOptions, (res) => {
         let data = '';
         res.on('data', (chunk) => {
           data += chunk;
         });
 
         res.on('end', () => {
-          try {
-            // Handle 307 redirects (and other 3xx redirects)
-            if (res.statusCode === 307 || res.statusCode === 301 || res.statusCode === 302) {
-              if (maxRedirects <= 0) {
-                reject(new Error(`Too many redirects. Last status: ${res.statusCode}`));
-                return;
-              }
-
-              const location = res.headers.location;
-              if (!location) {
-                reject(new Error(`Redirect response ${res.statusCode} missing Location header`));
-                return;
-              }
-
-              // Handle relative and absolute URLs
-              let redirectUrl;
-              if (location.startsWith('http')) {
-                redirectUrl = new URL(location);
-              } else {
-                redirectUrl = new URL(location, `https://${url.hostname}`);
-              }
-
-              // Update request options for redirect
-              const redirectRequestOptions = {
-                ...requestOptions,
-                hostname: redirectUrl.hostname,
-                port: redirectUrl.port || 443,
-                path: redirectUrl.pathname + redirectUrl.search
-              };
-
-              // Make redirected request
-              const redirectReq = https.request(redirectRequestOptions, (redirectRes) => {
-                let redirectData = '';
-                redirectRes.on('data', (chunk) => {
-                  redirectData += chunk;
-                });
-
-                redirectRes.on('end', () => {
-                  try {
-                    // Check if we need to redirect again
-                    if ((redirectRes.statusCode === 307 || redirectRes.statusCode === 301 || redirectRes.statusCode === 302) && maxRedirects > 1) {
-                      // Recursive redirect handling
-                      const newEndpoint = redirectUrl.pathname + redirectUrl.search;
-                      this.request(newEndpoint.replace('/v1', ''), options, maxRedirects - 1)
-                        .then(resolve)
-                        .catch(reject);
-                      return;
-                    }
-
-                    if (!redirectRes.statusCode || redirectRes.statusCode < 200 || redirectRes.statusCode >= 300) {
-                      reject(new Error(`API Error ${redirectRes.statusCode}: ${redirectData}`));
-                      return;
-                    }
-
-                    const response = JSON.parse(redirectData);
-                    resolve(response);
-                  } catch (error) {
-                    reject(new Error(`Invalid JSON response from redirect: ${redirectData}`));
-                  }
-                });
-              });
-
-              redirectReq.on('error', (error) => {
-                reject(error);
-              });
-
-              redirectReq.setTimeout(10000, () => {
-                redirectReq.destroy();
-                reject(new Error('Redirect request timeout'));
-              });
-
-              if (options.body && (options.method === 'POST' || options.method === 'PUT')) {
-                redirectReq.write(options.body);
-              }
-              redirectReq.end();
+          cleanup();
 
+          // Handle same-origin 3xx redirects, keeping the method and body
+          if (REDIRECT_STATUSES.includes(res.statusCode)) {
+            if (redirectsLeft <= 0) {
+              reject(new ConvolutAPIError(`Too many redirects. Last status: ${res.statusCode}`, { status: res.statusCode }));
               return;
             }
 
-            if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
-              reject(new Error(`API Error ${res.statusCode}: ${data}`));
+            const location = res.headers.location;
+            if (!location) {
+              reject(new ConvolutAPIError(`Redirect response ${res.statusCode} missing Location header`, { status: res.statusCode }));
               return;
             }
 
-            const response = JSON.parse(data);
-            resolve(response);
+            // Handles both relative and absolute locations
+            const target = new URL(location, url);
+            const refusal = redirectRefusal(url, target);
+            if (refusal) {
+              reject(new ConvolutAPIError(`Refusing redirect to ${target.origin}: ${refusal}`, { status: res.statusCode }));
+              return;
+            }
+            this.send(target, options, timeoutMs, redirectsLeft - 1).then(resolve, reject);
+            return;
+          }
+
+          if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
+            reject(apiError(res.statusCode, data, res.headers));
+            return;
+          }
+
+          if (!data.trim()) {
+            resolve(null);
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
           } catch (error) {
-            reject(new Error(`Invalid JSON response: ${data}`));
+            reject(new ConvolutAPIError(`Invalid JSON response: ${data}`, { status: res.statusCode, body: data }));
           }
         });
       });
 
+      const timer = setTimeout(() => {
+        req.destroy(new ConvolutAPIError(`Request timeout after ${timeoutMs}ms`, { code: 'ETIMEDOUT' }));
+      }, timeoutMs);
+
+      // Cancelling destroys the socket, so the server's answer is never read
+      const onAbort = () => req.destroy(cancelledError());
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      function cleanup() {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+
       req.on('error', (error) => {
+        cleanup();
         reject(error);
       });
 
-      req.setTimeout(10000, () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-
       if (options.body) {
         req.write(options.body);
       }
@@ -158,43 +396,173 @@ class ConvolutAPIClient {
     if (params.is_favorite !== undefined) queryParams.append('is_favorite', params.is_favorite.toString());
 
     const endpoint = `/contexts${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
-    return await this.request(endpoint);
+    return await this.request(endpoint, { operation: 'list' });
   }
 
-  async getContext(contextId) {
-    // The Convolut API doesn't have a direct GET /contexts/{id} endpoint
-    // Instead, we use the list endpoint and filter by searching for the specific ID
-    const response = await this.listContexts({ limit: 100 });
+  async getContext(contextId, { bypassCache = false } = {}) {
+    const cached = bypassCache ? undefined : this.contextCache.get(contextId);
+    if (cached) {
+      return cached;
+    }
+
+    let directMiss = false;
+    if (this.directLookup.supported !== false) {
+      try {
+        const context = await this.request(`/contexts/${encodeURIComponent(contextId)}`, { operation: 'get' });
+        if (context && context.id === contextId) {
+          this.directLookup.supported = true;
+          this.contextCache.set(contextId, context);
+          return context;
+        }
+        this.directLookup.supported = false;
+      } catch (error) {
+        if (error.status === 405) {
+          this.directLookup.supported = false;
+        } else if (error.status === 404 && this.directLookup.supported) {
+          // The endpoint has answered before, so this 404 is about the context, not the route
+          throw contextNotFound(contextId);
+        } else if (error.status === 404) {
+          directMiss = true;
+        } else {
+          throw error;
+        }
+      }
+    }
 
-    // FIXED: Handle both direct array response and paginated object response
-    const contexts = Array.isArray(response) ? response : response.items || [];
-    const context = contexts.find(item => item.id === contextId);
+    const context = await this.findContextInList(contextId);
+
+    // A 404 for a context the list does contain means the direct endpoint doesn't exist
+    if (context && directMiss) {
+      this.directLookup.supported = false;
+    }
 
     if (!context) {
-      throw new Error(`Context with ID ${contextId} not found`);
+      throw contextNotFound(contextId);
     }
 
     return context;
   }
 
+  // Pages through the whole list until the context turns up, caching everything seen on the way
+  async findContextInList(contextId) {
+    for await (const context of this.iterateContexts()) {
+      this.contextCache.set(context.id, context);
+      if (context.id === contextId) {
+        return context;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Page through every context matching a filter, whichever shape the list endpoint answers in.
+   * Up to `prefetch` pages are requested ahead of the one being consumed. Contexts already
+   * seen are dropped, so a server that ignores offset or limit cannot cause an endless loop.
+   *
+   * @param {object} [filter] - listContexts parameters other than limit and offset
+   * @param {object} [options]
+   * @param {number} [options.pageSize] - Contexts per request (at most 100)
+   * @param {number} [options.prefetch] - Page requests kept in flight
+   * @param {number} [options.maxItems] - Stop after this many contexts
+   * @param {Function} [options.onProgress] - (fetched, total|null) after each page
+   * @yields {object[]} One page of contexts
+   */
+  async* iterateContextPages(filter = {}, { pageSize = CONTEXT_PAGE_SIZE, prefetch = this.pagePrefetch, maxItems = Infinity, onProgress } = {}) {
+    const seen = new Set();
+    const pending = [];
+    let nextOffset = 0;
+    let totalCount = null;
+    let yielded = 0;
+    let done = false;
+
+    const schedule = (limit) => {
+      while (!done && pending.length < limit && nextOffset < maxItems && (totalCount === null || nextOffset < totalCount)) {
+        const offset = nextOffset;
+        const page = this.listContexts({ ...filter, limit: pageSize, offset }).then(normalizeListResponse);
+        // Errors surface when the page is awaited; this keeps prefetched failures from going unhandled
+        page.catch(() => {});
+        pending.push({ offset, page });
+        nextOffset += pageSize;
+      }
+    };
+
+    try {
+      // The first page tells us the total (if the server reports one) before prefetching starts
+      schedule(1);
+
+      while (pending.length > 0) {
+        const { offset, page } = pending.shift();
+        const response = await page;
+        throwIfAborted(this.signal);
+        if (response.totalCount !== null) totalCount = response.totalCount;
+
+        const items = response.items.filter(item => !seen.has(item.id)).slice(0, maxItems - yielded);
+        if (items.length === 0) break;
+        items.forEach(item => seen.add(item.id));
+        yielded += items.length;
+
+        done = response.items.length < pageSize
+          || yielded >= maxItems
+          || (totalCount !== null && offset + response.items.length >= totalCount);
+        schedule(prefetch);
+
+        if (onProgress) onProgress(yielded, totalCount !== null ? Math.min(totalCount, maxItems) : null);
+        yield items;
+        if (done) break;
+      }
+    } finally {
+      done = true;
+    }
+  }
+
+  /**
+   * Every context matching a filter, one at a time (see iterateContextPages).
+   *
+   * @yields {object}
+   */
+  async* iterateContexts(filter = {}, options = {}) {
+    for await (const page of this.iterateContextPages(filter, options)) {
+      yield* page;
+    }
+  }
+
+  async listAllContexts(filter = {}, options = {}) {
+    const contexts = [];
+    for await (const page of this.iterateContextPages(filter, options)) {
+      contexts.push(...page);
+    }
+    return contexts;
+  }
+
   async createContext(contextData) {
-    return await this.request('/contexts', {
+    const context = await this.request('/contexts', {
+      operation: 'create',
       method: 'POST',
       body: JSON.stringify(contextData),
     });
+    this.emitContextChange({ type: 'created', id: context && context.id, context });
+    return context;
   }
 
   async updateContext(contextId, updates) {
-    return await this.request(`/contexts/${contextId}`, {
+    this.contextCache.delete(contextId);
+    const context = await this.request(`/contexts/${contextId}`, {
+      operation: 'update',
       method: 'PUT',
       body: JSON.stringify(updates),
     });
+    this.emitContextChange({ type: 'updated', id: contextId, context });
+    return context;
   }
 
   async deleteContext(contextId) {
-    return await this.request(`/contexts/${contextId}`, {
+    this.contextCache.delete(contextId);
+    const result = await this.request(`/contexts/${contextId}`, {
+      operation: 'delete',
       method: 'DELETE',
     });
+    this.emitContextChange({ type: 'deleted', id: contextId });
+    return result;
   }
 
   async searchContexts(params = {}) {
@@ -209,12 +577,13 @@ class ConvolutAPIClient {
     const endpoint = `/contexts${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
     // This hits the GET /contexts endpoint, which now has the enhanced
     // server-side decrypted search functionality via the 'search' parameter.
-    return await this.request(endpoint);
+    return await this.request(endpoint, { operation: 'search' });
   }
 
   // AI-powered operations
   async consolidateContexts(request) {
     return await this.request('/contexts/consolidate', {
+      operation: 'consolidate',
       method: 'POST',
       body: JSON.stringify(request),
     });
@@ -222,6 +591,7 @@ class ConvolutAPIClient {
 
   async planFromContexts(request) {
     return await this.request('/contexts/plan', {
+      operation: 'plan',
       method: 'POST',
       body: JSON.stringify(request),
     });
@@ -230,6 +600,7 @@ class ConvolutAPIClient {
   // Export functionality
   async exportContexts(request) {
     return await this.request('/contexts/export', {
+      operation: 'export',
       method: 'POST',
       body: JSON.stringify(request),
     });
@@ -238,6 +609,7 @@ class ConvolutAPIClient {
   // Raw URL generation
   async generateRawUrl(request) {
     return await this.request('/contexts/raw-url', {
+      operation: 'rawUrl',
       method: 'POST',
       body: JSON.stringify(request),
     });
@@ -250,16 +622,17 @@ class ConvolutAPIClient {
 
     const requestOptions = {
       hostname: url.hostname,
-      port: url.port || 443,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
       path: url.pathname,
       method: 'GET',
       headers: {
-        'User-Agent': 'convolut-mcp-client/1.0.0',
+        'User-Agent': this.userAgent,
       },
     };
+    const transport = url.protocol === 'http:' ? http : https;
 
     return new Promise((resolve, reject) => {
-      const req = https.request(requestOptions, (res) => {
+      const req = transport.request(requestOptions, (res) => {
         let data = '';
         res.on('data', (chunk) => {
           data += chunk;
@@ -294,4 +667,4 @@ class ConvolutAPIClient {
   }
 }
 
-module.exports = { ConvolutAPIClient };
\ No newline at end of file
+module.exports = { ConvolutAPIClient, ConvolutAPIError, normalizeListResponse };
\ No newline at end of file
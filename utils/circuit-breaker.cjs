@@ -0,0 +1,66 @@
+/**
+ * Circuit breaker for upstream API calls
+ * Opens after repeated failures, fails fast while open, then lets one trial request through
+ */
+
+class CircuitOpenError extends Error {
+  constructor(retryInMs) {
+    super(`Convolut API circuit is open after repeated failures; retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryInMs = retryInMs;
+  }
+}
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Throws CircuitOpenError when calls should not be attempted right now
+  beforeRequest() {
+    if (this.state === 'closed' || this.failureThreshold <= 0) return;
+
+    if (this.state === 'open') {
+      const elapsed = Date.now() - this.openedAt;
+      if (elapsed < this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.resetTimeoutMs - elapsed);
+      }
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.trialInFlight) {
+      throw new CircuitOpenError(this.resetTimeoutMs);
+    }
+    this.trialInFlight = true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // A call that was cancelled or never sent frees the half-open trial slot without counting either way
+  recordCancelled() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || (this.failureThreshold > 0 && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
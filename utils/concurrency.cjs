@@ -0,0 +1,119 @@
+/**
+ * Concurrency helpers for fan-out API calls and the shared limit on upstream requests
+ */
+
+class QueueFullError extends Error {
+  constructor(maxQueued) {
+    super(`Too many pending Convolut API requests (${maxQueued} already queued); try again shortly`);
+    this.name = 'QueueFullError';
+    this.code = 'EQUEUEFULL';
+  }
+}
+
+/**
+ * Run worker over every item with at most `limit` calls in flight.
+ * Results keep the order of the input; a rejected worker rejects the whole map,
+ * so workers that should not abort the batch must catch their own errors.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} worker - (item, index) => Promise
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Once aborted no further items are started and the map rejects
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runLane() {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runLane);
+  await Promise.all(lanes);
+  throwIfAborted(signal);
+  return results;
+}
+
+/**
+ * The error for work stopped by notifications/cancelled.
+ */
+function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.code = 'ECANCELLED';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * Runs tasks with at most `concurrency` in flight. Up to `maxQueued` more wait their turn in
+ * arrival order; beyond that, run() rejects with QueueFullError straight away.
+ */
+class RequestQueue {
+  constructor({ concurrency = 6, maxQueued = 200 } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * @param {Function} task - () => Promise, started once a slot is free
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting while queued gives up the place in line
+   * @returns {Promise}
+   */
+  async run(task, { signal } = {}) {
+    await this.acquire(signal);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire(signal) {
+    throwIfAborted(signal);
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    if (this.waiting.length >= this.maxQueued) {
+      return Promise.reject(new QueueFullError(this.maxQueued));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(cancelledError());
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  // Hands the slot straight to the next waiter, if any
+  release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+    if (next.signal) next.signal.removeEventListener('abort', next.onAbort);
+    next.resolve();
+  }
+}
+
+module.exports = { mapWithConcurrency, cancelledError, throwIfAborted, RequestQueue, QueueFullError };
@@ -0,0 +1,332 @@
+/**
+ * Configuration loading for convolut-mcp
+ *
+ * Settings are resolved in this order, later sources overriding earlier ones:
+ *   1. Built-in defaults
+ *   2. Top-level settings in the config file
+ *   3. The selected profile in the config file (--profile, CONVOLUT_PROFILE or defaultProfile)
+ *   4. Environment variables
+ *   5. Command line flags
+ *
+ * The config file is --config / CONVOLUT_MCP_CONFIG, or else the first of
+ * config.json, config.yaml and config.yml in $XDG_CONFIG_HOME/convolut-mcp (default ~/.config/convolut-mcp).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('./yaml.cjs');
+const { LOG_LEVELS } = require('./logger.cjs');
+const { version } = require('../package.json');
+
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+
+// Every supported setting: its type, default, environment variable and command line flag
+const SETTINGS = {
+  apiKey: { type: 'string', default: null, env: 'CONVOLUT_API_KEY' },
+  baseUrl: { type: 'url', default: 'https://api.convolut.app/v1', env: 'CONVOLUT_BASE_URL', flag: 'base-url' },
+  timeoutMs: { type: 'integer', min: 1, default: 10000, env: 'CONVOLUT_TIMEOUT_MS', flag: 'timeout' },
+  retries: { type: 'integer', min: 0, default: 3, env: 'CONVOLUT_RETRIES', flag: 'retries' },
+  // Longest text a tool result may return; 0 turns the limit off
+  maxResponseChars: { type: 'integer', min: 0, default: 60000, env: 'CONVOLUT_MAX_RESPONSE_CHARS', flag: 'max-response-chars' },
+  // List pages fetched ahead when a tool reads the whole library
+  pagePrefetch: { type: 'integer', min: 1, max: 10, default: 3, env: 'CONVOLUT_PAGE_PREFETCH', flag: 'page-prefetch' },
+  // Upstream requests in flight at once across all sessions, and how many more may wait for a slot
+  maxConcurrentRequests: { type: 'integer', min: 1, max: 64, default: 6, env: 'CONVOLUT_MAX_CONCURRENT_REQUESTS', flag: 'max-concurrent-requests' },
+  maxQueuedRequests: { type: 'integer', min: 0, default: 200, env: 'CONVOLUT_MAX_QUEUED_REQUESTS', flag: 'max-queued-requests' },
+  // How long shutdown waits for in-flight requests before exiting anyway
+  shutdownTimeoutMs: { type: 'integer', min: 0, default: 30000, env: 'CONVOLUT_SHUTDOWN_TIMEOUT_MS', flag: 'shutdown-timeout' },
+  userAgent: { type: 'string', default: `convolut-mcp-client/${version}`, env: 'CONVOLUT_USER_AGENT', flag: 'user-agent' },
+  operations: { type: 'operations', default: {} },
+  transport: { type: 'enum', values: ['stdio', 'http'], default: 'stdio', env: 'CONVOLUT_MCP_TRANSPORT', flag: 'transport' },
+  port: { type: 'integer', min: 0, max: 65535, default: 3000, env: 'CONVOLUT_MCP_PORT', flag: 'port' },
+  host: { type: 'string', default: '127.0.0.1', env: 'CONVOLUT_MCP_HOST', flag: 'host' },
+  allowedOrigins: { type: 'list', default: [], env: 'CONVOLUT_MCP_ALLOWED_ORIGINS', flag: 'allowed-origins' },
+  // Let HTTP clients that send no key of their own use apiKey; only allowed on a loopback host
+  useServerApiKey: { type: 'boolean', default: false, env: 'CONVOLUT_MCP_USE_SERVER_API_KEY', flag: 'use-server-api-key' },
+  readOnly: { type: 'boolean', default: false, env: 'CONVOLUT_READ_ONLY', flag: 'read-only' },
+  allowTools: { type: 'list', default: [], env: 'CONVOLUT_ALLOW_TOOLS', flag: 'allow-tools' },
+  denyTools: { type: 'list', default: [], env: 'CONVOLUT_DENY_TOOLS', flag: 'deny-tools' },
+  // Lowest level written to stderr and logFile; clients choose their own with logging/setLevel
+  logLevel: { type: 'enum', values: LOG_LEVELS, default: 'info', env: 'CONVOLUT_LOG_LEVEL', flag: 'log-level' },
+  // Also append logs as JSON lines to this file
+  logFile: { type: 'string', default: null, env: 'CONVOLUT_LOG_FILE', flag: 'log-file' },
+  confirmDestructive: { type: 'boolean', default: true, env: 'CONVOLUT_CONFIRM_DESTRUCTIVE', flag: 'confirm-destructive' },
+  // null means $XDG_DATA_HOME/convolut-mcp (default ~/.local/share/convolut-mcp)
+  dataDir: { type: 'string', default: null, env: 'CONVOLUT_DATA_DIR', flag: 'data-dir' },
+  // null means <dataDir>/<key fingerprint>/exports; a configured directory also gets one subdirectory per API key
+  exportDir: { type: 'string', default: null, env: 'CONVOLUT_EXPORT_DIR', flag: 'export-dir' },
+  // Directories import_contexts may read from; required over HTTP
+  importRoots: { type: 'list', default: [], env: 'CONVOLUT_IMPORT_ROOTS', flag: 'import-roots' },
+  trashRetentionDays: { type: 'integer', min: 0, default: 30, env: 'CONVOLUT_TRASH_RETENTION_DAYS', flag: 'trash-retention-days' },
+  // Defaults for the version history; set_version_retention overrides them per context
+  historyMaxVersions: { type: 'integer', min: 0, default: 20, env: 'CONVOLUT_HISTORY_MAX_VERSIONS', flag: 'history-max-versions' },
+  historyRetentionDays: { type: 'integer', min: 0, default: 90, env: 'CONVOLUT_HISTORY_RETENTION_DAYS', flag: 'history-retention-days' },
+};
+
+// Hosts that only accept connections from this machine
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1'];
+
+function settingFlags(type) {
+  return Object.values(SETTINGS)
+    .filter(setting => setting.type === type && setting.flag)
+    .map(setting => setting.flag);
+}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    const list = Array.isArray(problems) ? problems : [problems];
+    super(`Invalid configuration:\n${list.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = list;
+  }
+}
+
+/**
+ * Parse command line arguments into flags and positionals.
+ * Supports --name=value and --name value. Boolean flags never take the next word as their value:
+ * they are set by --name, --name=false or --no-name.
+ *
+ * @param {string[]} argv
+ * @param {string[]} [booleanFlags] - Boolean flags besides those of the boolean settings
+ * @returns {{ flags: object, positionals: string[] }}
+ */
+function parseArgs(argv, booleanFlags = []) {
+  const booleans = [...settingFlags('boolean'), ...booleanFlags];
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = arg.slice(2);
+    if (equals !== -1) {
+      flags[arg.slice(2, equals)] = arg.slice(equals + 1);
+    } else if (booleans.includes(name)) {
+      flags[name] = true;
+    } else if (name.startsWith('no-') && booleans.includes(name.slice(3))) {
+      flags[name.slice(3)] = false;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+function defaultConfigDir(env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'convolut-mcp');
+}
+
+function defaultDataDir(env) {
+  const base = env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, 'convolut-mcp');
+}
+
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    const data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    if (data === null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('top level must be an object');
+    }
+    return data;
+  } catch (error) {
+    throw new ConfigError(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+function locateConfigFile(explicitPath, env) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const dir = defaultConfigDir(env);
+  const found = CONFIG_FILE_NAMES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+// Turns a raw value into the setting's type, or returns an error message
+function coerceSetting(key, value, fromText) {
+  const setting = SETTINGS[key];
+
+  switch (setting.type) {
+    case 'string':
+      if (value === null) return { value };
+      return typeof value === 'string' && value.trim() !== ''
+        ? { value: value.trim() }
+        : { error: 'must be a non-empty string' };
+
+    case 'url': {
+      if (typeof value !== 'string') return { error: 'must be a URL string' };
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return { error: `is not a valid URL: ${value}` };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: `must use http:// or https:// (got ${url.protocol}//)` };
+      }
+      return { value: value.replace(/\/+$/, '') };
+    }
+
+    case 'integer': {
+      const number = fromText && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number)) return { error: `must be an integer (got ${JSON.stringify(value)})` };
+      if (setting.min !== undefined && number < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && number > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value: number };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (fromText && /^(true|1|yes|on)$/i.test(String(value))) return { value: true };
+      if (fromText && /^(false|0|no|off)$/i.test(String(value))) return { value: false };
+      return { error: `must be true or false (got ${JSON.stringify(value)})` };
+    }
+
+    case 'enum':
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${setting.values.join(', ')} (got ${JSON.stringify(value)})` };
+
+    case 'list': {
+      const list = fromText && typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        return { error: 'must be a list of strings' };
+      }
+      return { value: list };
+    }
+
+    case 'operations': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object keyed by operation name' };
+      }
+      for (const [operation, policy] of Object.entries(value)) {
+        for (const [field, amount] of Object.entries(policy || {})) {
+          if (!['timeoutMs', 'retries'].includes(field)) {
+            return { error: `operation "${operation}" has unknown field "${field}" (expected timeoutMs or retries)` };
+          }
+          if (!Number.isInteger(amount) || amount < 0) {
+            return { error: `operation "${operation}" ${field} must be a non-negative integer` };
+          }
+        }
+      }
+      return { value };
+    }
+
+    default:
+      return { error: `has unsupported type ${setting.type}` };
+  }
+}
+
+function applyLayer(config, sources, values, sourceName, problems, fromText = false) {
+  for (const [key, raw] of Object.entries(values)) {
+    if (raw === undefined) continue;
+
+    if (!SETTINGS[key]) {
+      problems.push(`Unknown setting "${key}" in ${sourceName}`);
+      continue;
+    }
+
+    const { value, error } = coerceSetting(key, raw, fromText);
+    if (error) {
+      problems.push(`${key} from ${sourceName} ${error}`);
+      continue;
+    }
+
+    config[key] = value;
+    sources[key] = sourceName;
+  }
+}
+
+/**
+ * Load and validate the configuration.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - Command line arguments (without node and script)
+ * @param {object} [options.env] - Environment variables
+ * @returns {object} Resolved settings plus profile, configFile and sources (where each setting came from)
+ * @throws {ConfigError} Listing every invalid setting
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const { flags } = parseArgs(argv);
+  const problems = [];
+
+  const config = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    config[key] = setting.default;
+    sources[key] = 'default';
+  }
+
+  const configFile = locateConfigFile(flags.config || env.CONVOLUT_MCP_CONFIG, env);
+  const fileData = configFile ? readConfigFile(configFile) : {};
+  const { profiles = {}, defaultProfile, ...fileSettings } = fileData;
+
+  applyLayer(config, sources, fileSettings, `config file ${configFile}`, problems);
+
+  const profile = flags.profile || env.CONVOLUT_PROFILE || defaultProfile || null;
+  if (profile) {
+    if (!profiles || typeof profiles !== 'object' || !Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      const available = Object.keys(profiles || {});
+      problems.push(`Unknown profile "${profile}"${available.length ? ` (available: ${available.join(', ')})` : ' (no profiles defined in the config file)'}`);
+    } else {
+      applyLayer(config, sources, profiles[profile] || {}, `profile "${profile}"`, problems);
+    }
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      applyLayer(config, sources, { [key]: env[setting.env] }, setting.env, problems, true);
+    }
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (setting.flag && flags[setting.flag] !== undefined) {
+      applyLayer(config, sources, { [key]: flags[setting.flag] }, `--${setting.flag}`, problems, true);
+    }
+  }
+
+  if (config.useServerApiKey && !LOOPBACK_HOSTS.includes(config.host)) {
+    problems.push(`useServerApiKey (from ${sources.useServerApiKey}) requires host 127.0.0.1 or ::1, not ${config.host}: anyone who can reach the server would use your API key`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config.dataDir = path.resolve(config.dataDir || defaultDataDir(env));
+  if (config.exportDir) config.exportDir = path.resolve(config.exportDir);
+
+  return Object.freeze({ ...config, profile, configFile, sources });
+}
+
+module.exports = {
+  loadConfig,
+  parseArgs,
+  ConfigError,
+  SETTINGS
+};
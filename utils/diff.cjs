@@ -0,0 +1,279 @@
+/**
+ * Line diffs in unified format (Myers' O(ND) algorithm)
+ */
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+// Helpers
+function splitLines(text) {
+  const source = String(text || '');
+  if (source === '') return [];
+  const lines = source.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Beyond this many edits the search gets expensive; the changed region is then reported as replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers' greedy search over the lines between the common prefix and suffix
+function middleEdits(oldLines, newLines, oldStart, oldEnd, newStart, newEnd) {
+  const n = oldEnd - oldStart;
+  const m = newEnd - newStart;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d..d can be reached in d steps, so that is all the backtrack needs
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[oldStart + x] === newLines[newStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [
+      ...oldLines.slice(oldStart, oldEnd).map((line, i) => ({ type: 'delete', line, oldIndex: oldStart + i })),
+      ...newLines.slice(newStart, newEnd).map((line, i) => ({ type: 'insert', line, newIndex: newStart + i })),
+    ];
+  }
+
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      edits.push({ type: 'equal', line: oldLines[oldStart + x], oldIndex: oldStart + x, newIndex: newStart + y });
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        y--;
+        edits.push({ type: 'insert', line: newLines[newStart + y], newIndex: newStart + y });
+      } else {
+        x--;
+        edits.push({ type: 'delete', line: oldLines[oldStart + x], oldIndex: oldStart + x });
+      }
+    }
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Shortest edit script between two line arrays.
+ *
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', line: string, oldIndex?: number, newIndex?: number }>}
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix
+    && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldEnd = oldLines.length - suffix;
+  const newEnd = newLines.length - suffix;
+
+  return [
+    ...oldLines.slice(0, prefix).map((line, i) => ({ type: 'equal', line, oldIndex: i, newIndex: i })),
+    ...middleEdits(oldLines, newLines, prefix, oldEnd, prefix, newEnd),
+    ...oldLines.slice(oldEnd).map((line, i) => ({ type: 'equal', line, oldIndex: oldEnd + i, newIndex: newEnd + i })),
+  ];
+}
+
+function hunkRange(start, length) {
+  // Unified diff ranges are 1-based; an empty range points at the line before it
+  if (length === 0) return `${start},0`;
+  return length === 1 ? `${start + 1}` : `${start + 1},${length}`;
+}
+
+/**
+ * Unified diff of two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.fromLabel] - Name shown on the --- line
+ * @param {string} [options.toLabel] - Name shown on the +++ line
+ * @param {number} [options.contextLines] - Unchanged lines around each change
+ * @returns {{ diff: string, added: number, removed: number }} diff is '' when the texts are equal
+ */
+function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', contextLines = DEFAULT_CONTEXT_LINES } = {}) {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const added = edits.filter(edit => edit.type === 'insert').length;
+  const removed = edits.filter(edit => edit.type === 'delete').length;
+  if (added === 0 && removed === 0) return { diff: '', added, removed };
+
+  // Group changes that are close enough to share context into hunks
+  const hunks = [];
+  let current = null;
+  let trailingEqual = 0;
+
+  edits.forEach((edit, index) => {
+    if (edit.type === 'equal') {
+      if (current) {
+        trailingEqual++;
+        if (trailingEqual > contextLines * 2) {
+          current.end = index - trailingEqual + contextLines + 1;
+          hunks.push(current);
+          current = null;
+        }
+      }
+      return;
+    }
+
+    if (!current) {
+      current = { start: Math.max(0, index - contextLines) };
+    }
+    trailingEqual = 0;
+  });
+  if (current) {
+    current.end = Math.min(edits.length, edits.length - trailingEqual + contextLines);
+    hunks.push(current);
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = edits.slice(start, end);
+
+    // Positions of the hunk in each file, counted from the edits before it
+    const before = edits.slice(0, start);
+    const oldStart = before.filter(edit => edit.type !== 'insert').length;
+    const newStart = before.filter(edit => edit.type !== 'delete').length;
+    const oldLength = slice.filter(edit => edit.type !== 'insert').length;
+    const newLength = slice.filter(edit => edit.type !== 'delete').length;
+
+    lines.push(`@@ -${hunkRange(oldStart, oldLength)} +${hunkRange(newStart, newLength)} @@`);
+    slice.forEach(edit => {
+      const prefix = edit.type === 'equal' ? ' ' : edit.type === 'delete' ? '-' : '+';
+      lines.push(`${prefix}${edit.line}`);
+    });
+  });
+
+  return { diff: `${lines.join('\n')}\n`, added, removed };
+}
+
+function parseHunks(patch) {
+  const hunks = [];
+  let current = null;
+
+  String(patch).replace(/\r\n/g, '\n').split('\n').forEach((line, index, all) => {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = { oldStart: Number(header[1]), oldLines: [], newLines: [] };
+      hunks.push(current);
+      return;
+    }
+    if (!current || line.startsWith('\\')) return;
+    // A final empty line is just the patch's trailing newline
+    if (line === '' && index === all.length - 1) return;
+
+    const marker = line[0] || ' ';
+    const text = line.slice(1);
+    if (marker === ' ') {
+      current.oldLines.push(text);
+      current.newLines.push(text);
+    } else if (marker === '-') {
+      current.oldLines.push(text);
+    } else if (marker === '+') {
+      current.newLines.push(text);
+    } else {
+      throw new Error(`Invalid line in hunk ${hunks.length}: ${JSON.stringify(line)}`);
+    }
+  });
+
+  if (hunks.length === 0) {
+    throw new Error('The patch has no hunks (expected lines starting with "@@ -a,b +c,d @@")');
+  }
+  return hunks;
+}
+
+function matchesAt(lines, expected, position) {
+  if (position < 0 || position + expected.length > lines.length) return false;
+  return expected.every((line, i) => lines[position + i] === line);
+}
+
+/**
+ * Apply a unified diff to a text. Each hunk must match exactly, either at the line it names
+ * or, if the text has shifted, at the nearest place where its context and removed lines appear.
+ *
+ * @param {string} text
+ * @param {string} patch
+ * @returns {string} The patched text
+ * @throws {Error} Naming the first hunk that does not apply
+ */
+function applyUnifiedDiff(text, patch) {
+  const lines = splitLines(text);
+  const trailingNewline = String(text || '').endsWith('\n') || lines.length === 0;
+  let shift = 0;
+  let searchFrom = 0;
+
+  parseHunks(patch).forEach((hunk, index) => {
+    const expected = hunk.oldStart - 1 + shift;
+    let position = -1;
+
+    if (hunk.oldLines.length === 0) {
+      position = Math.min(Math.max(hunk.oldStart + shift, 0), lines.length);
+    } else if (matchesAt(lines, hunk.oldLines, expected)) {
+      position = expected;
+    } else {
+      // Nearest match at or after the end of the previous hunk
+      let best = Infinity;
+      for (let candidate = searchFrom; candidate <= lines.length - hunk.oldLines.length; candidate++) {
+        if (matchesAt(lines, hunk.oldLines, candidate) && Math.abs(candidate - expected) < best) {
+          best = Math.abs(candidate - expected);
+          position = candidate;
+        }
+      }
+    }
+
+    if (position === -1) {
+      throw new Error(`Hunk ${index + 1} (@@ -${hunk.oldStart}) does not match the current content`);
+    }
+
+    lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+    shift += hunk.newLines.length - hunk.oldLines.length;
+    searchFrom = position + hunk.newLines.length;
+  });
+
+  return lines.join('\n') + (trailingNewline && lines.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  unifiedDiff,
+  applyUnifiedDiff
+};
@@ -0,0 +1,82 @@
+/**
+ * Message dispatch shared by the transports
+ * Every message is handled as soon as it arrives and the work is tracked, so shutdown can wait
+ * for in-flight requests to finish instead of dropping them.
+ */
+
+const SHUTTING_DOWN = -32000;
+
+// Helpers
+function isRequest(message) {
+  return message && typeof message === 'object' && 'id' in message;
+}
+
+// What a message gets once shutdown has started: an error for each request, nothing for notifications
+function refuse(message) {
+  const refuseOne = (item) => (isRequest(item)
+    ? { jsonrpc: '2.0', id: item.id, error: { code: SHUTTING_DOWN, message: 'Server is shutting down' } }
+    : null);
+
+  if (Array.isArray(message)) {
+    const responses = message.map(refuseOne).filter(Boolean);
+    return responses.length > 0 ? responses : null;
+  }
+  return refuseOne(message);
+}
+
+class Dispatcher {
+  /**
+   * @param {Function} handleMessage - (message, session) => Promise<response|null>; must not reject
+   */
+  constructor(handleMessage) {
+    this.handleMessage = handleMessage;
+    this.pending = new Set();
+    this.closing = false;
+  }
+
+  get inFlight() {
+    return this.pending.size;
+  }
+
+  /**
+   * Handle a message (or batch) without waiting for earlier ones to finish.
+   *
+   * @returns {Promise<object|object[]|null>} The response to send, if any
+   */
+  dispatch(message, session) {
+    if (this.closing) return Promise.resolve(refuse(message));
+
+    const work = Promise.resolve().then(() => this.handleMessage(message, session));
+    this.pending.add(work);
+    const settle = () => this.pending.delete(work);
+    work.then(settle, settle);
+    return work;
+  }
+
+  /**
+   * Stop taking new requests and wait for the ones in flight.
+   *
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} false when the timeout passed first
+   */
+  async drain(timeoutMs) {
+    this.closing = true;
+    if (this.pending.size === 0) return true;
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const settled = Promise.allSettled([...this.pending]).then(() => true);
+
+    try {
+      return await Promise.race([settled, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  Dispatcher
+};
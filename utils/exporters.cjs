@@ -0,0 +1,247 @@
+/**
+ * Client-side export engine
+ * Renders contexts to CSV, JSONL, standalone HTML or Markdown with YAML front-matter,
+ * either into a string or streamed to a file one context at a time.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const YAML = require('./yaml.cjs');
+
+const METADATA_FIELDS = ['id', 'title', 'category', 'tags', 'is_favorite', 'word_count', 'created_date', 'updated_date'];
+
+// Helpers
+function pickMetadata(context) {
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    if (field === 'tags') {
+      metadata.tags = context.tags || [];
+    } else if (field === 'is_favorite') {
+      metadata.is_favorite = Boolean(context.is_favorite);
+    } else if (context[field] !== undefined && context[field] !== null) {
+      metadata[field] = context[field];
+    }
+  });
+  return metadata;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render one context as Markdown, with its metadata as YAML front-matter.
+ */
+function renderContextMarkdown(context, { includeMetadata = true } = {}) {
+  const body = context.content || '';
+  if (!includeMetadata) {
+    return `# ${context.title || ''}\n\n${body}`;
+  }
+  return `---\n${YAML.stringify(pickMetadata(context))}\n---\n\n${body}`;
+}
+
+// Each renderer produces a header, one chunk per context and a footer
+const RENDERERS = {
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv',
+    header: ({ includeMetadata }) => `${(includeMetadata ? [...METADATA_FIELDS, 'content'] : ['id', 'title', 'content']).join(',')}\r\n`,
+    item: (context, index, { includeMetadata }) => {
+      const fields = includeMetadata ? [...METADATA_FIELDS, 'content'] : ['id', 'title', 'content'];
+      return `${fields.map(field => csvCell(context[field])).join(',')}\r\n`;
+    },
+    footer: () => '',
+  },
+
+  jsonl: {
+    extension: 'jsonl',
+    mimeType: 'application/x-ndjson',
+    header: () => '',
+    item: (context, index, { includeMetadata }) => {
+      const record = includeMetadata
+        ? { ...pickMetadata(context), content: context.content || '', files: context.files || [] }
+        : { id: context.id, title: context.title, content: context.content || '' };
+      return `${JSON.stringify(record)}\n`;
+    },
+    footer: () => '',
+  },
+
+  html: {
+    extension: 'html',
+    mimeType: 'text/html',
+    header: ({ title }) => [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title)}</title>`,
+      '<style>',
+      'body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }',
+      'article { border-bottom: 1px solid #ddd; padding-bottom: 1.5rem; margin-bottom: 1.5rem; }',
+      'dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; font-size: 0.85rem; color: #555; }',
+      'dt { font-weight: 600; }',
+      'pre { white-space: pre-wrap; word-wrap: break-word; font-family: inherit; }',
+      '</style>',
+      '</head>',
+      '<body>',
+      `<h1>${escapeHtml(title)}</h1>`,
+      '',
+    ].join('\n'),
+    item: (context, index, { includeMetadata }) => {
+      const lines = [`<article id="context-${escapeHtml(context.id)}">`, `<h2>${escapeHtml(context.title)}</h2>`];
+      if (includeMetadata) {
+        lines.push('<dl>');
+        Object.entries(pickMetadata(context))
+          .filter(([field]) => field !== 'title')
+          .forEach(([field, value]) => {
+            lines.push(`<dt>${escapeHtml(field)}</dt><dd>${escapeHtml(Array.isArray(value) ? value.join(', ') : value)}</dd>`);
+          });
+        lines.push('</dl>');
+      }
+      lines.push(`<pre>${escapeHtml(context.content)}</pre>`, '</article>', '');
+      return lines.join('\n');
+    },
+    footer: () => '</body>\n</html>\n',
+  },
+
+  markdown: {
+    extension: 'md',
+    mimeType: 'text/markdown',
+    header: () => '',
+    item: (context, index, { includeMetadata }) => `${index > 0 ? '\n' : ''}${renderContextMarkdown(context, { includeMetadata })}\n`,
+    footer: () => '',
+  },
+};
+
+const LOCAL_FORMATS = Object.keys(RENDERERS);
+
+/**
+ * Render contexts into a single string.
+ */
+function renderExport(format, contexts, { includeMetadata = true, title = 'Convolut export' } = {}) {
+  const renderer = RENDERERS[format];
+  const options = { includeMetadata, title };
+  return renderer.header(options)
+    + contexts.map((context, index) => renderer.item(context, index, options)).join('')
+    + renderer.footer(options);
+}
+
+/**
+ * Resolve the output path inside the export directory, refusing names that would escape it.
+ */
+function resolveExportPath(exportDir, filename, format) {
+  const extension = RENDERERS[format] ? RENDERERS[format].extension : format;
+  const name = filename || `convolut-export-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+
+  if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error('filename may only contain letters, digits, ".", "-" and "_" and must not start with "."');
+  }
+
+  return path.join(exportDir, name);
+}
+
+/**
+ * Stream an export to disk. Contexts arrive in batches from fetchBatches (an async iterable
+ * of context arrays), so the full export never has to be held in memory. The file is written
+ * under a temporary name of its own and renamed once complete, so concurrent exports to the
+ * same filename never share a file.
+ *
+ * @returns {Promise<{ filePath: string, bytes: number, count: number }>}
+ */
+async function writeExport(filePath, format, fetchBatches, { includeMetadata = true, title = 'Convolut export' } = {}) {
+  const renderer = RENDERERS[format];
+  const options = { includeMetadata, title };
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.partial`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(tempPath, { encoding: 'utf8' });
+  // Keep the first error so it fails the export instead of going unhandled between writes
+  let streamError = null;
+  stream.on('error', (error) => {
+    if (!streamError) streamError = error;
+  });
+
+  let bytes = 0;
+  let count = 0;
+
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (streamError) {
+      reject(streamError);
+      return;
+    }
+    if (!chunk) {
+      resolve();
+      return;
+    }
+    bytes += Buffer.byteLength(chunk);
+    const onError = (error) => reject(error);
+    stream.once('error', onError);
+    if (stream.write(chunk)) {
+      stream.off('error', onError);
+      resolve();
+    } else {
+      stream.once('drain', () => {
+        stream.off('error', onError);
+        resolve();
+      });
+    }
+  });
+
+  try {
+    // Fail on an unwritable path (EACCES, EISDIR, ...) before fetching anything
+    await new Promise((resolve, reject) => {
+      if (streamError) {
+        reject(streamError);
+        return;
+      }
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    });
+    await write(renderer.header(options));
+    for await (const batch of fetchBatches) {
+      for (const context of batch) {
+        await write(renderer.item(context, count, options));
+        count++;
+      }
+    }
+    await write(renderer.footer(options));
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    stream.destroy();
+    await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+
+  return { filePath, bytes, count };
+}
+
+/**
+ * Write an already-rendered string (e.g. a server-side export) to disk.
+ */
+async function writeExportText(filePath, text) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, text, 'utf8');
+  return { filePath, bytes: Buffer.byteLength(text) };
+}
+
+module.exports = {
+  LOCAL_FORMATS,
+  renderContextMarkdown,
+  renderExport,
+  resolveExportPath,
+  writeExport,
+  writeExportText
+};
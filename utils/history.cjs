@@ -0,0 +1,140 @@
+/**
+ * Local revision log for contexts
+ * Before a context is changed, the previous version is snapshotted to disk (one file per context)
+ * so it can be listed, diffed and restored. Old versions are pruned by count and age, with
+ * optional per-context overrides.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./local-store.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields kept in a snapshot; enough to restore the context through updateContext
+const SNAPSHOT_FIELDS = ['title', 'content', 'tags', 'category', 'is_favorite', 'files', 'word_count', 'updated_date'];
+
+// Context ids come from the API; anything unusual is hashed so it cannot escape the history directory
+function fileNameFor(contextId) {
+  const id = String(contextId);
+  return /^[\w-]{1,100}$/.test(id) ? `${id}.json` : `${crypto.createHash('sha256').update(id).digest('hex')}.json`;
+}
+
+function snapshotOf(context) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (context[field] !== undefined) snapshot[field] = context[field];
+  });
+  return snapshot;
+}
+
+class HistoryStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory for this API key's data; versions go in dir/history
+   * @param {number} [options.maxVersions] - Versions kept per context; 0 turns history off
+   * @param {number} [options.retentionDays] - Days to keep versions; 0 keeps them regardless of age
+   */
+  constructor({ dir, maxVersions = 20, retentionDays = 90 }) {
+    this.dir = path.join(dir, 'history');
+    this.defaults = { max_versions: maxVersions, retention_days: retentionDays };
+    this.stores = new Map();
+  }
+
+  storeFor(contextId) {
+    const fileName = fileNameFor(contextId);
+    if (!this.stores.has(fileName)) {
+      this.stores.set(fileName, new JsonFileStore(path.join(this.dir, fileName), {
+        context_id: contextId,
+        retention: null,
+        next_version: 1,
+        versions: [],
+      }));
+    }
+    return this.stores.get(fileName);
+  }
+
+  // Settings for one context: its own override where set, otherwise the defaults
+  effectiveRetention(data) {
+    return { ...this.defaults, ...(data.retention || {}) };
+  }
+
+  prune(data, now = Date.now()) {
+    const { max_versions: maxVersions, retention_days: retentionDays } = this.effectiveRetention(data);
+    if (retentionDays) {
+      data.versions = data.versions.filter(version => Date.parse(version.saved_at) > now - retentionDays * DAY_MS);
+    }
+    if (data.versions.length > maxVersions) {
+      data.versions = data.versions.slice(data.versions.length - maxVersions);
+    }
+  }
+
+  /**
+   * All kept versions of a context, oldest first, plus its retention settings.
+   */
+  async list(contextId) {
+    const data = await this.storeFor(contextId).read();
+    this.prune(data);
+    return {
+      context_id: contextId,
+      retention: this.effectiveRetention(data),
+      custom_retention: Boolean(data.retention),
+      versions: data.versions,
+    };
+  }
+
+  async get(contextId, version) {
+    const { versions } = await this.list(contextId);
+    return versions.find(entry => entry.version === version) || null;
+  }
+
+  /**
+   * Snapshot a context before it is changed.
+   *
+   * @param {object} context - The context as it is now (before the change)
+   * @param {string} reason - What is about to change it (e.g. the tool name)
+   * @returns {Promise<object|null>} The saved version, or null when history is off for this context
+   */
+  async record(context, reason) {
+    return this.storeFor(context.id).update(data => {
+      if (this.effectiveRetention(data).max_versions === 0) return null;
+
+      const entry = {
+        version: data.next_version,
+        saved_at: new Date().toISOString(),
+        reason,
+        snapshot: snapshotOf(context),
+      };
+      data.next_version += 1;
+      data.versions.push(entry);
+      this.prune(data);
+      return entry;
+    });
+  }
+
+  // Drops a version again, e.g. when the update it was taken for failed
+  async remove(contextId, version) {
+    return this.storeFor(contextId).update(data => {
+      const before = data.versions.length;
+      data.versions = data.versions.filter(entry => entry.version !== version);
+      return before !== data.versions.length;
+    });
+  }
+
+  /**
+   * Override retention for one context, or pass null to go back to the defaults.
+   *
+   * @param {string} contextId
+   * @param {{ max_versions?: number, retention_days?: number }|null} retention
+   * @returns {Promise<object>} The effective settings
+   */
+  async setRetention(contextId, retention) {
+    return this.storeFor(contextId).update(data => {
+      data.retention = retention ? { ...(data.retention || {}), ...retention } : null;
+      this.prune(data);
+      return this.effectiveRetention(data);
+    });
+  }
+}
+
+module.exports = { HistoryStore };
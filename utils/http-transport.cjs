@@ -0,0 +1,347 @@
+/**
+ * MCP Streamable HTTP transport
+ * POST for client messages, SSE for server-to-client messages, one session per initialize
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MCP_PATH = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const KEEPALIVE_MS = 15000;
+
+// Helpers
+function isRequestMessage(message) {
+  return message && typeof message === 'object' && typeof message.method === 'string' && 'id' in message;
+}
+
+function isInitializeRequest(message) {
+  return isRequestMessage(message) && message.method === 'initialize';
+}
+
+function readApiKey(req) {
+  const headerKey = req.headers['x-convolut-api-key'];
+  if (headerKey) return String(headerKey).trim();
+
+  const authorization = req.headers['authorization'];
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+
+  return null;
+}
+
+function isAllowedOrigin(origin, allowedOrigins) {
+  if (!origin) return true;
+  if (allowedOrigins.includes(origin)) return true;
+
+  try {
+    const { hostname } = new URL(origin);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  } catch (error) {
+    return false;
+  }
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function sendError(res, statusCode, code, message) {
+  sendJson(res, statusCode, { jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function openSseStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    ...headers,
+  });
+  res.flushHeaders();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the Streamable HTTP transport.
+ *
+ * @param {object} options
+ * @param {Function} options.handleRequest - (message, session) => Promise<response|null>
+ * @param {Function} options.createSession - ({ apiKey, notify }) => session
+ * @param {Function} [options.onSessionClosed] - (session) => void, after DELETE, idle expiry or server close
+ * @param {string} [options.defaultApiKey] - Used when a client does not send its own key; without one such clients get 401
+ * @param {number} [options.port]
+ * @param {string} [options.host]
+ * @param {string[]} [options.allowedOrigins]
+ * @param {string[]} [options.protocolVersions] - Accepted MCP-Protocol-Version header values
+ */
+function startHttpTransport(options) {
+  const {
+    handleRequest,
+    createSession,
+    onSessionClosed = () => {},
+    defaultApiKey = null,
+    port = 3000,
+    host = '127.0.0.1',
+    allowedOrigins = [],
+    protocolVersions = null,
+  } = options;
+
+  const sessions = new Map();
+
+  function createHttpSession(apiKey) {
+    const state = {
+      id: crypto.randomUUID(),
+      lastSeen: Date.now(),
+      standaloneStream: null,
+      requestStreams: new Map(),
+    };
+
+    // Route server messages to the stream of the request they belong to, else the GET stream
+    const notify = (message, relatedRequestId) => {
+      const stream = state.requestStreams.get(relatedRequestId) || state.standaloneStream;
+      if (stream && !stream.writableEnded) {
+        writeSseMessage(stream, message);
+      }
+    };
+
+    state.session = createSession({ id: state.id, apiKey, notify });
+    sessions.set(state.id, state);
+    return state;
+  }
+
+  function closeSession(state) {
+    sessions.delete(state.id);
+    onSessionClosed(state.session);
+    if (state.standaloneStream && !state.standaloneStream.writableEnded) {
+      state.standaloneStream.end();
+    }
+    state.requestStreams.forEach(stream => stream.end());
+  }
+
+  function lookupSession(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      sendError(res, 400, -32000, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+
+    const state = sessions.get(String(sessionId));
+    if (!state) {
+      sendError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+
+    // Clients on 2025-06-18 or later send the negotiated version on every request after initialize
+    const protocolVersion = req.headers['mcp-protocol-version'];
+    if (protocolVersion && protocolVersions && !protocolVersions.includes(String(protocolVersion))) {
+      sendError(res, 400, -32000, `Unsupported MCP-Protocol-Version: ${protocolVersion}`);
+      return null;
+    }
+
+    state.lastSeen = Date.now();
+    return state;
+  }
+
+  async function handlePost(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendError(res, 400, -32700, `Parse error: ${error.message}`);
+      return;
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    if (messages.length === 0) {
+      sendError(res, 400, -32600, 'Empty batch');
+      return;
+    }
+
+    let state;
+    if (messages.some(isInitializeRequest)) {
+      if (messages.length > 1) {
+        sendError(res, 400, -32600, 'initialize must not be sent in a batch');
+        return;
+      }
+
+      const apiKey = readApiKey(req) || defaultApiKey;
+      if (!apiKey) {
+        sendError(res, 401, -32000, 'A Convolut API key is required (X-Convolut-Api-Key or Authorization: Bearer header)');
+        return;
+      }
+      state = createHttpSession(apiKey);
+    } else {
+      state = lookupSession(req, res);
+      if (!state) return;
+    }
+
+    const requests = messages.filter(isRequestMessage);
+
+    // Notifications and responses only: acknowledge and process without a body
+    if (requests.length === 0) {
+      res.writeHead(202, { 'Mcp-Session-Id': state.id });
+      res.end();
+      for (const message of messages) {
+        await handleRequest(message, state.session);
+      }
+      return;
+    }
+
+    const accept = String(req.headers['accept'] || '');
+    const useSse = accept.includes('text/event-stream');
+
+    if (useSse) {
+      openSseStream(res, { 'Mcp-Session-Id': state.id });
+      requests.forEach(message => state.requestStreams.set(message.id, res));
+    }
+
+    const responses = [];
+    try {
+      await Promise.all(messages.map(async (message) => {
+        const response = await handleRequest(message, state.session);
+        if (!response) return;
+
+        if (useSse) {
+          writeSseMessage(res, response);
+        } else {
+          responses.push(response);
+        }
+      }));
+    } finally {
+      requests.forEach(message => state.requestStreams.delete(message.id));
+    }
+
+    if (useSse) {
+      res.end();
+    } else if (responses.length === 0) {
+      // Every request was cancelled, so there is nothing to answer
+      res.writeHead(202, { 'Mcp-Session-Id': state.id });
+      res.end();
+    } else {
+      sendJson(res, 200, Array.isArray(payload) ? responses : responses[0], { 'Mcp-Session-Id': state.id });
+    }
+  }
+
+  function handleGet(req, res) {
+    if (!String(req.headers['accept'] || '').includes('text/event-stream')) {
+      sendError(res, 405, -32000, 'GET requires Accept: text/event-stream');
+      return;
+    }
+
+    const state = lookupSession(req, res);
+    if (!state) return;
+
+    if (state.standaloneStream && !state.standaloneStream.writableEnded) {
+      sendError(res, 409, -32000, 'An SSE stream is already open for this session');
+      return;
+    }
+
+    openSseStream(res, { 'Mcp-Session-Id': state.id });
+    state.standaloneStream = res;
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    res.on('close', () => {
+      clearInterval(keepalive);
+      if (state.standaloneStream === res) {
+        state.standaloneStream = null;
+      }
+    });
+  }
+
+  function handleDelete(req, res) {
+    const state = lookupSession(req, res);
+    if (!state) return;
+
+    closeSession(state);
+    res.writeHead(204);
+    res.end();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (pathname !== MCP_PATH) {
+        sendError(res, 404, -32000, `Not found: ${pathname}`);
+        return;
+      }
+
+      if (!isAllowedOrigin(req.headers['origin'], allowedOrigins)) {
+        sendError(res, 403, -32000, 'Origin not allowed');
+        return;
+      }
+
+      switch (req.method) {
+        case 'POST':
+          await handlePost(req, res);
+          break;
+        case 'GET':
+          handleGet(req, res);
+          break;
+        case 'DELETE':
+          handleDelete(req, res);
+          break;
+        default:
+          res.writeHead(405, { 'Allow': 'GET, POST, DELETE' });
+          res.end();
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        sendError(res, 500, -32603, `Internal error: ${error.message}`);
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Drop sessions that have been idle for too long
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    sessions.forEach(state => {
+      if (state.lastSeen < cutoff && !state.standaloneStream) {
+        closeSession(state);
+      }
+    });
+  }, 60000);
+  sweeper.unref();
+
+  server.on('close', () => {
+    clearInterval(sweeper);
+    sessions.forEach(closeSession);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startHttpTransport };
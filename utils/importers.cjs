@@ -0,0 +1,274 @@
+/**
+ * Readers for bringing existing notes into Convolut
+ * Turns a folder of Markdown files, an Obsidian vault or a JSON/JSONL dump into
+ * import candidates: { source, context } or { source, error } for entries that cannot be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('./yaml.cjs');
+const { validate, formatErrors } = require('./schema.cjs');
+const { FILES_INPUT } = require('../tools/schemas.cjs');
+
+const IMPORT_FORMATS = ['auto', 'markdown', 'obsidian', 'json', 'jsonl'];
+const CATEGORIES = ['personal', 'work', 'research', 'templates', 'prompts', 'other'];
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_TITLE_LENGTH = 200;
+
+// File attachments as create_context accepts them
+const FILES_SCHEMA = { type: 'object', properties: { files: FILES_INPUT } };
+
+// Directories that never hold notes (Obsidian settings and trash, VCS, dependencies)
+const SKIPPED_DIRS = new Set(['.obsidian', '.trash', '.git', 'node_modules']);
+
+// Helpers
+function contentHash(content) {
+  const normalized = String(content || '').replace(/\r\n/g, '\n').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function normalizeTitle(title) {
+  return String(title || '').trim().toLowerCase();
+}
+
+// Tags may be a list or a "a, b" / "#a #b" string; strip leading # as Obsidian allows either
+function normalizeTags(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+  return [...new Set(list
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(Boolean))];
+}
+
+function splitFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+
+  const data = YAML.parse(match[1]);
+  return {
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+    body: text.slice(match[0].length),
+  };
+}
+
+// Inline #tags in an Obsidian note, ignoring fenced and inline code
+function inlineTags(body) {
+  const prose = body.replace(/```[\s\S]*?```/g, '').replace(/`[^`\n]*`/g, '');
+  const tags = [];
+  const pattern = /(^|\s)#([A-Za-z_][\w/-]*)/g;
+  let match;
+  while ((match = pattern.exec(prose)) !== null) {
+    tags.push(match[2]);
+  }
+  return tags;
+}
+
+function firstHeading(body) {
+  const match = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the create request for one note, checking what createContext would reject.
+ */
+function toContextData(fields, defaults) {
+  const title = String(fields.title || '').trim();
+  const content = String(fields.content || '');
+
+  if (!title) throw new Error('title is empty');
+  if (title.length > MAX_TITLE_LENGTH) throw new Error(`title is longer than ${MAX_TITLE_LENGTH} characters`);
+  if (!content.trim()) throw new Error('content is empty');
+
+  const category = fields.category === undefined || fields.category === null
+    ? defaults.category
+    : String(fields.category).toLowerCase();
+  if (!CATEGORIES.includes(category)) {
+    throw new Error(`category "${fields.category}" is not one of ${CATEGORIES.join(', ')}`);
+  }
+
+  const contextData = {
+    title,
+    content,
+    tags: [...new Set([...normalizeTags(fields.tags), ...defaults.tags])],
+    category,
+    is_favorite: fields.is_favorite === true || fields.is_favorite === 'true',
+  };
+  if (fields.files !== undefined && fields.files !== null) {
+    const { errors } = validate(FILES_SCHEMA, { files: fields.files });
+    if (errors.length) throw new Error(formatErrors(errors));
+    // Exported files may carry server-side fields; send only what create_context takes
+    if (fields.files.length) {
+      contextData.files = fields.files.map(({ name, url, type }) => ({ name, url, type }));
+    }
+  }
+  return contextData;
+}
+
+async function listMarkdownFiles(root, recursive) {
+  const files = [];
+
+  async function walk(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive && !SKIPPED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile() && /\.(md|markdown)$/i.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  await walk(root);
+  return files;
+}
+
+async function readNote(filePath, root, flavor, defaults) {
+  const source = path.relative(root, filePath) || path.basename(filePath);
+
+  try {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > MAX_FILE_BYTES) {
+      throw new Error(`file is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const { data, body } = splitFrontMatter(text);
+    const baseName = path.basename(filePath).replace(/\.(md|markdown)$/i, '');
+
+    // Obsidian titles notes by file name; plain Markdown prefers the first heading
+    const title = data.title || (flavor === 'obsidian' ? baseName : firstHeading(body) || baseName);
+    const tags = flavor === 'obsidian'
+      ? [...normalizeTags(data.tags), ...inlineTags(body)]
+      : normalizeTags(data.tags);
+
+    return {
+      source,
+      context: toContextData({
+        title,
+        content: body.replace(/^\s*\n/, ''),
+        tags,
+        category: data.category,
+        is_favorite: data.is_favorite !== undefined ? data.is_favorite : data.favorite,
+      }, defaults),
+    };
+  } catch (error) {
+    return { source, error: error.message };
+  }
+}
+
+function parseJsonDump(text, format) {
+  if (format === 'jsonl') {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: index + 1, text: line.trim() }))
+      .filter(({ text: line }) => line)
+      .map(({ line, text: json }) => {
+        try {
+          return { line, record: JSON.parse(json) };
+        } catch (error) {
+          return { line, error: `invalid JSON: ${error.message}` };
+        }
+      });
+  }
+
+  const data = JSON.parse(text);
+  // Accept a bare array, a ContextListResponse ({ items }) or a single context
+  const records = Array.isArray(data) ? data : Array.isArray(data.items) ? data.items : [data];
+  return records.map((record, index) => ({ line: index + 1, record }));
+}
+
+async function readDump(filePath, format, defaults) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_FILE_BYTES * 20) {
+    throw new Error(`${filePath} is larger than ${(MAX_FILE_BYTES * 20) / (1024 * 1024)} MB`);
+  }
+
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  let entries;
+  try {
+    entries = parseJsonDump(text, format);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+
+  const label = format === 'jsonl' ? 'line' : 'item';
+  return entries.map(({ line, record, error }) => {
+    const source = `${path.basename(filePath)} ${label} ${line}`;
+    if (error) return { source, error };
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { source, error: 'entry is not an object' };
+    }
+
+    try {
+      return { source, context: toContextData(record, defaults) };
+    } catch (recordError) {
+      return { source, error: recordError.message };
+    }
+  });
+}
+
+async function detectFormat(sourcePath, stats) {
+  if (stats.isDirectory()) {
+    return fs.existsSync(path.join(sourcePath, '.obsidian')) ? 'obsidian' : 'markdown';
+  }
+  if (/\.jsonl$|\.ndjson$/i.test(sourcePath)) return 'jsonl';
+  if (/\.json$/i.test(sourcePath)) return 'json';
+  if (/\.(md|markdown)$/i.test(sourcePath)) return 'markdown';
+  throw new Error(`Cannot tell the format of ${sourcePath}; pass format explicitly`);
+}
+
+/**
+ * Read every import candidate from a file or directory.
+ *
+ * @param {string} sourcePath - Absolute path to a directory, .md file or JSON/JSONL dump
+ * @param {object} [options]
+ * @param {string} [options.format] - One of IMPORT_FORMATS
+ * @param {boolean} [options.recursive] - Descend into subdirectories
+ * @param {number} [options.maxFiles] - Refuse directories with more Markdown files than this
+ * @param {string} [options.category] - Category for notes that do not set one
+ * @param {string[]} [options.tags] - Tags added to every imported context
+ * @returns {Promise<{ format: string, candidates: Array }>}
+ */
+async function readImportSource(sourcePath, { format = 'auto', recursive = true, maxFiles = 500, category = 'other', tags = [] } = {}) {
+  const stats = await fs.promises.stat(sourcePath).catch(() => null);
+  if (!stats) throw new Error(`${sourcePath} does not exist`);
+
+  const resolvedFormat = format === 'auto' ? await detectFormat(sourcePath, stats) : format;
+  const defaults = { category, tags: normalizeTags(tags) };
+
+  if (resolvedFormat === 'json' || resolvedFormat === 'jsonl') {
+    if (!stats.isFile()) throw new Error(`The ${resolvedFormat} format needs a file, not a directory`);
+    return { format: resolvedFormat, candidates: await readDump(sourcePath, resolvedFormat, defaults) };
+  }
+
+  if (stats.isFile()) {
+    return {
+      format: resolvedFormat,
+      candidates: [await readNote(sourcePath, path.dirname(sourcePath), resolvedFormat, defaults)],
+    };
+  }
+
+  const files = await listMarkdownFiles(sourcePath, recursive);
+  if (files.length > maxFiles) {
+    throw new Error(`${sourcePath} has ${files.length} Markdown files, more than max_files (${maxFiles})`);
+  }
+
+  const candidates = [];
+  for (const file of files) {
+    candidates.push(await readNote(file, sourcePath, resolvedFormat, defaults));
+  }
+  return { format: resolvedFormat, candidates };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  readImportSource,
+  contentHash,
+  normalizeTitle
+};
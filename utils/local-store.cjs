@@ -0,0 +1,74 @@
+/**
+ * Local JSON file storage for server-side state (trash, history, ...)
+ * Data is kept per API key so users sharing one HTTP server never see each other's snapshots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directory for one API key's data, named by a fingerprint rather than the key itself
+function dataDirFor(config, apiKey) {
+  const fingerprint = crypto.createHash('sha256').update(String(apiKey || 'anonymous')).digest('hex').slice(0, 16);
+  return path.join(config.dataDir, fingerprint);
+}
+
+// Export directory for one API key: the exports subdirectory of its data directory, or its own
+// subdirectory of a configured exportDir
+function exportDirFor(config, apiKey) {
+  const dataDir = dataDirFor(config, apiKey);
+  return config.exportDir ? path.join(config.exportDir, path.basename(dataDir)) : path.join(dataDir, 'exports');
+}
+
+async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// Write to a temporary file and rename, so a crash never leaves half a file behind
+async function writeJsonFile(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * A JSON document on disk with serialized read-modify-write updates.
+ */
+class JsonFileStore {
+  constructor(filePath, fallback) {
+    this.filePath = filePath;
+    this.fallback = fallback;
+    this.queue = Promise.resolve();
+  }
+
+  read() {
+    return readJsonFile(this.filePath, JSON.parse(JSON.stringify(this.fallback)));
+  }
+
+  // Runs mutate(data) against the current document and persists the result; updates never interleave
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutate(data);
+      await writeJsonFile(this.filePath, data);
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  dataDirFor,
+  exportDirFor,
+  readJsonFile,
+  writeJsonFile,
+  JsonFileStore
+};
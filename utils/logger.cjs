@@ -0,0 +1,177 @@
+/**
+ * Structured logging with the RFC 5424 severities used by MCP
+ * Every entry goes to stderr and, when configured, a JSON-lines file at or above the server
+ * log level; session loggers also send notifications/message to their client at or above the
+ * level the client chose with logging/setLevel. API keys and other secrets are redacted first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Least to most severe
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Until a client calls logging/setLevel it only hears about problems
+const DEFAULT_CLIENT_LEVEL = 'warning';
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /api[_-]?key|authorization|password|secret/i;
+const BEARER_PATTERN = /\b(Bearer\s+)[\w.~+/=-]+/gi;
+
+// Helpers
+function severity(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+function isLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, status: error.status };
+}
+
+class Logger {
+  /**
+   * Use createLogger for the server logger and child() for per-session or per-module loggers.
+   *
+   * @param {object} sink - Shared state: level, stderr stream, file descriptor and known secrets
+   * @param {object} [options]
+   * @param {string} [options.name] - Reported as the MCP "logger" field
+   * @param {object} [options.client] - { notify, level } shared by every logger of one session
+   */
+  constructor(sink, { name = 'convolut-mcp', client = null } = {}) {
+    this.sink = sink;
+    this.name = name;
+    this.client = client;
+  }
+
+  /**
+   * A logger with its own name that shares this one's outputs. Passing notify makes it the
+   * logger of a new session; its children then follow that session's logging/setLevel.
+   *
+   * @param {string} name
+   * @param {object} [options]
+   * @param {Function} [options.notify] - Sends a JSON-RPC message to the session's client
+   */
+  child(name, { notify } = {}) {
+    const client = notify ? { notify, level: DEFAULT_CLIENT_LEVEL } : this.client;
+    return new Logger(this.sink, { name, client });
+  }
+
+  // Never log this value (e.g. a session's API key) in any form
+  addSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= 4) {
+      this.sink.secrets.add(secret);
+    }
+  }
+
+  setClientLevel(level) {
+    if (!isLogLevel(level)) {
+      throw new Error(`Unknown log level "${level}"; expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if (this.client) this.client.level = level;
+  }
+
+  redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      let text = value.replace(BEARER_PATTERN, `$1${REDACTED}`);
+      this.sink.secrets.forEach(secret => {
+        text = text.split(secret).join(REDACTED);
+      });
+      return text;
+    }
+    if (value instanceof Error) {
+      return this.redact(serializeError(value), depth);
+    }
+    if (Array.isArray(value)) {
+      return depth > 5 ? '[...]' : value.map(item => this.redact(item, depth + 1));
+    }
+    if (value && typeof value === 'object') {
+      if (depth > 5) return '[...]';
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        result[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : this.redact(item, depth + 1);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} message
+   * @param {object} [data] - Extra structured fields
+   */
+  log(level, message, data) {
+    const text = this.redact(String(message));
+    const fields = data === undefined ? undefined : this.redact(data);
+    const rank = severity(level);
+
+    if (rank >= severity(this.sink.level)) {
+      const details = fields === undefined ? '' : ` ${JSON.stringify(fields)}`;
+      this.sink.stream.write(`[${this.name}] ${level}: ${text}${details}\n`);
+
+      if (this.sink.fd !== null) {
+        const entry = { timestamp: new Date().toISOString(), level, logger: this.name, message: text };
+        if (fields !== undefined) entry.data = fields;
+        try {
+          fs.writeSync(this.sink.fd, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+          // A broken log file must not take the server down
+        }
+      }
+    }
+
+    if (this.client && rank >= severity(this.client.level)) {
+      try {
+        this.client.notify({
+          jsonrpc: '2.0',
+          method: 'notifications/message',
+          params: {
+            level,
+            logger: this.name,
+            data: fields === undefined ? text : { message: text, ...fields },
+          },
+        });
+      } catch (error) {
+        // The client may already be gone
+      }
+    }
+  }
+}
+
+LOG_LEVELS.forEach(level => {
+  Logger.prototype[level] = function logAtLevel(message, data) {
+    this.log(level, message, data);
+  };
+});
+
+/**
+ * The server logger.
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written to stderr and the log file
+ * @param {string|null} [options.file] - Also append JSON lines to this file
+ * @param {string[]} [options.secrets] - Values to redact
+ * @param {NodeJS.WritableStream} [options.stream] - Defaults to stderr (stdout carries the protocol)
+ * @returns {Logger}
+ */
+function createLogger({ level = 'info', file = null, secrets = [], stream = process.stderr } = {}) {
+  let fd = null;
+  if (file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fd = fs.openSync(file, 'a');
+  }
+
+  const logger = new Logger({ level, stream, fd, secrets: new Set() });
+  secrets.forEach(secret => logger.addSecret(secret));
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  createLogger,
+  isLogLevel
+};
@@ -0,0 +1,128 @@
+/**
+ * Markdown structure helpers: ATX headings and the sections they open
+ * Headings inside fenced code blocks are ignored.
+ */
+
+const PATH_SEPARATOR = ' > ';
+
+// Helpers
+function normalizeHeading(text) {
+  return String(text).replace(/\s+#+\s*$/, '').trim().toLowerCase();
+}
+
+/**
+ * Every ATX heading with its level, text and line index.
+ *
+ * @param {string[]} lines
+ * @returns {Array<{ level: number, text: string, line: number }>}
+ */
+function parseHeadings(lines) {
+  const headings = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1][0];
+      } else if (fenceMatch[1][0] === fence) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2], line: index });
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Find the section opened by a heading. A heading may be given as plain text ("Tasks"),
+ * with its level ("## Tasks") or as a path of parent headings ("Project > Tasks").
+ *
+ * @param {string[]} lines
+ * @param {string} headingSpec
+ * @returns {{ heading: object, start: number, bodyStart: number, end: number }}
+ *   start is the heading line, bodyStart the line after it, end the first line after the section
+ * @throws {Error} When no heading or more than one heading matches
+ */
+function findSection(lines, headingSpec) {
+  const segments = String(headingSpec).split(PATH_SEPARATOR).map(segment => {
+    const match = segment.trim().match(/^(#{1,6})\s+(.*)$/);
+    return match
+      ? { level: match[1].length, text: normalizeHeading(match[2]) }
+      : { level: null, text: normalizeHeading(segment) };
+  });
+
+  const headings = parseHeadings(lines);
+  const matchesSegment = (heading, segment) => normalizeHeading(heading.text) === segment.text
+    && (segment.level === null || heading.level === segment.level);
+
+  const matches = [];
+  const stack = [];
+  headings.forEach((heading, index) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack.push(heading);
+
+    // The path has to match the innermost headings, ending with this one
+    const chain = stack.slice(-segments.length);
+    if (chain.length === segments.length && chain.every((item, i) => matchesSegment(item, segments[i]))) {
+      matches.push(index);
+    }
+  });
+
+  if (matches.length === 0) {
+    throw new Error(`Heading "${headingSpec}" not found`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Heading "${headingSpec}" matches ${matches.length} headings; use a heading path like "Parent${PATH_SEPARATOR}Child" or add the level (e.g. "## Title")`);
+  }
+
+  const heading = headings[matches[0]];
+  const next = headings.slice(matches[0] + 1).find(other => other.level <= heading.level);
+
+  return {
+    heading,
+    start: heading.line,
+    bodyStart: heading.line + 1,
+    end: next ? next.line : lines.length,
+  };
+}
+
+/**
+ * Every heading with its path of parent headings and the lines its section spans.
+ *
+ * @param {string[]} lines
+ * @returns {Array<{ level: number, text: string, line: number, path: string, end: number, ownEnd: number }>}
+ *   end is the first line after the section including subsections, ownEnd the first line after its own text
+ */
+function buildOutline(lines) {
+  const headings = parseHeadings(lines);
+  const stack = [];
+
+  return headings.map((heading, index) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack.push(heading);
+
+    const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+    const following = headings[index + 1];
+    return {
+      ...heading,
+      path: stack.map(item => item.text).join(PATH_SEPARATOR),
+      end: next ? next.line : lines.length,
+      ownEnd: following ? following.line : lines.length,
+    };
+  });
+}
+
+module.exports = {
+  parseHeadings,
+  findSection,
+  buildOutline,
+  PATH_SEPARATOR
+};
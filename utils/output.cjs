@@ -0,0 +1,155 @@
+/**
+ * Output shaping for tools that return many contexts: field projection, content previews,
+ * compact table and Markdown list renderings, and a cap on response size
+ */
+
+const OUTPUT_FORMATS = ['json', 'table', 'markdown'];
+
+// Helpers
+function previewText(content, maxChars) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxChars) return text;
+
+  // Cut at the last word boundary that fits, unless that loses most of the preview
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatCell).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Keep only the requested fields of an item, optionally swapping content for a short preview.
+ *
+ * @param {object} item
+ * @param {object} options
+ * @param {string[]} [options.fields] - Fields to keep, in this order; all fields when omitted
+ * @param {number} [options.previewChars] - Add content_preview of at most this many characters;
+ *   full content is then only kept when fields asks for it
+ * @returns {object}
+ */
+function projectItem(item, { fields, previewChars } = {}) {
+  let projected;
+  if (fields && fields.length > 0) {
+    projected = {};
+    fields.forEach(field => {
+      if (item[field] !== undefined) projected[field] = item[field];
+    });
+  } else {
+    projected = { ...item };
+    if (previewChars) delete projected.content;
+  }
+
+  if (previewChars && typeof item.content === 'string') {
+    projected.content_preview = previewText(item.content, previewChars);
+  }
+  return projected;
+}
+
+function renderTable(items) {
+  const columns = [];
+  items.forEach(item => Object.keys(item).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  if (columns.length === 0) return '(no results)';
+
+  return [
+    columns.join(' | '),
+    ...items.map(item => columns.map(column => formatCell(item[column])).join(' | ')),
+  ].join('\n');
+}
+
+function renderMarkdownList(items) {
+  if (items.length === 0) return '_No results._';
+
+  return items.map(item => {
+    const { title, id, content_preview: preview, content, snippets, ...rest } = item;
+    const heading = [
+      title !== undefined ? `**${formatCell(title)}**` : null,
+      id !== undefined ? `\`${id}\`` : null,
+    ].filter(Boolean).join(' ');
+
+    const details = Object.entries(rest)
+      .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => (key === 'tags' ? value.map(tag => `#${tag}`).join(' ') : `${key}: ${formatCell(value)}`));
+
+    const lines = [`- ${[heading, ...details].filter(Boolean).join(' · ') || '(empty)'}`];
+    const body = preview !== undefined ? preview : content;
+    if (body) lines.push(`  > ${formatCell(body)}`);
+    (snippets || []).forEach(snippet => lines.push(`  > ${formatCell(snippet)}`));
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Render a page of items in the requested format, dropping trailing items until the text fits
+ * in maxChars. When items are dropped the response says so and gives the offset to continue from.
+ * The JSON form of the same page is returned as well, for structuredContent.
+ *
+ * @param {object[]} items - Already projected
+ * @param {object} options
+ * @param {string} options.format - json, table or markdown
+ * @param {string} options.key - Property holding the items in the JSON rendering (e.g. "contexts")
+ * @param {number} options.offset - Offset of the first item, for the continuation offset
+ * @param {Function} options.meta - (shownCount, truncation|null) => object merged into the JSON rendering
+ * @param {Function} options.summary - (shownCount) => summary line for the table and Markdown renderings
+ * @param {number} [options.maxChars] - 0 or unset means no limit
+ * @returns {{ text: string, data: object }}
+ */
+function renderPage(items, { format, key, offset, meta, summary, maxChars }) {
+  const render = (count) => {
+    const shown = items.slice(0, count);
+    const truncation = count < items.length
+      ? { truncated: true, next_offset: offset + count, note: `Response truncated to fit ${maxChars} characters; call again with offset ${offset + count} for the rest` }
+      : null;
+    const data = { [key]: shown, ...meta(count, truncation) };
+
+    if (format === 'json') {
+      return { text: JSON.stringify(data, null, 2), data };
+    }
+
+    const body = format === 'table' ? renderTable(shown) : renderMarkdownList(shown);
+    const footer = [summary(count)];
+    if (truncation) footer.push(`[truncated: ${truncation.note}]`);
+    return { text: `${body}\n\n${footer.join('\n')}`, data };
+  };
+
+  const full = render(items.length);
+  if (!maxChars || full.text.length <= maxChars) return full;
+
+  // Largest prefix that fits; always at least one item so the caller can make progress
+  let low = 1;
+  let high = items.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (render(middle).text.length <= maxChars) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return render(Math.max(1, Math.min(low, items.length)));
+}
+
+/**
+ * Last line of defence for any tool result: cut text that is still over the limit.
+ *
+ * @returns {string}
+ */
+function truncateText(text, maxChars) {
+  if (!maxChars || text.length <= maxChars) return text;
+  const marker = `\n\n[Response truncated: showing ${maxChars} of ${text.length} characters. Narrow the request (fields, limit, content_preview_chars) to see the rest.]`;
+  return text.slice(0, Math.max(0, maxChars - marker.length)) + marker;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  projectItem,
+  renderPage,
+  truncateText
+};
@@ -0,0 +1,120 @@
+/**
+ * Tool access policy: read-only mode, allow/deny lists and confirmation of destructive calls
+ */
+
+const crypto = require('crypto');
+
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Decide whether a tool may be listed and called under the given settings.
+ * Read-only mode goes by the tool's readOnlyHint annotation, so new tools are covered without a list to update.
+ * A tool that only writes with some arguments declares isReadOnlyCall: it stays listed, and calls are
+ * checked again once their arguments are known.
+ *
+ * @param {object} tool - A registered tool (see utils/tool-registry.cjs)
+ * @param {object} config - Resolved settings (readOnly, allowTools, denyTools)
+ * @param {object} [args] - Validated arguments of a call; omitted when listing tools
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkToolAccess(tool, config, args) {
+  if (config.readOnly && !tool.annotations.readOnlyHint) {
+    if (!tool.isReadOnlyCall) {
+      return { allowed: false, reason: 'the server is running in read-only mode' };
+    }
+    if (args && !tool.isReadOnlyCall(args)) {
+      return { allowed: false, reason: 'the server is running in read-only mode and this call would write data' };
+    }
+  }
+  if (config.denyTools.includes(tool.name)) {
+    return { allowed: false, reason: 'the tool is on the deny list' };
+  }
+  if (config.allowTools.length > 0 && !config.allowTools.includes(tool.name)) {
+    return { allowed: false, reason: 'the tool is not on the allow list' };
+  }
+  return { allowed: true };
+}
+
+// Destructive tools are confirmed with a token first; dry runs change nothing and go straight through
+function requiresConfirmation(tool, config, args = {}) {
+  return Boolean(config.confirmDestructive && tool.annotations.destructiveHint && !args.dry_run);
+}
+
+/**
+ * A confirmation preview made from the tool's own dry run, for tools that have one.
+ *
+ * @param {Function} handler - A tool handler that accepts dry_run
+ * @returns {Function} (args, apiClient, session) => Promise<object>
+ */
+function dryRunPreview(handler) {
+  return async (args, apiClient, session) => {
+    const result = await handler({ ...args, dry_run: true }, apiClient, session);
+    const text = result.content[0].text;
+    if (result.isError) {
+      throw new Error(text);
+    }
+    return JSON.parse(text);
+  };
+}
+
+// Stable JSON so that argument order does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(toolName, args) {
+  return crypto.createHash('sha256').update(`${toolName}\n${canonicalJson(args)}`).digest('hex');
+}
+
+/**
+ * Single-use confirmation tokens, each bound to one tool call with exactly the same arguments.
+ */
+class ConfirmationStore {
+  constructor({ ttlMs = CONFIRMATION_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.tokens = new Map();
+  }
+
+  issue(toolName, args) {
+    this.prune();
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.ttlMs;
+    this.tokens.set(token, { fingerprint: fingerprint(toolName, args), expiresAt });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString(), expiresInSeconds: Math.round(this.ttlMs / 1000) };
+  }
+
+  // Returns true and burns the token only if it was issued for this exact call
+  consume(token, toolName, args) {
+    this.prune();
+
+    const entry = this.tokens.get(token);
+    if (!entry || entry.fingerprint !== fingerprint(toolName, args)) {
+      return false;
+    }
+
+    this.tokens.delete(token);
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.tokens.forEach((entry, token) => {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    });
+  }
+}
+
+module.exports = {
+  checkToolAccess,
+  requiresConfirmation,
+  dryRunPreview,
+  ConfirmationStore
+};
@@ -0,0 +1,67 @@
+/**
+ * Per-call state for long-running tool calls: the signal that notifications/cancelled aborts,
+ * and notifications/progress for clients that sent a progressToken in _meta
+ */
+
+// Progress is sent at most this often; the update that completes the work is always sent
+const PROGRESS_INTERVAL_MS = 100;
+// How often calls waiting on a single slow request report that they are still alive
+const HEARTBEAT_MS = 5000;
+
+/**
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string|number} [options.progressToken] - From the request's _meta; no progress is sent without one
+ * @param {Function} [options.send] - Sends a JSON-RPC notification to the client
+ * @returns {{ signal: AbortSignal|undefined, progress: Function, heartbeat: Function }}
+ */
+function createCallContext({ signal, progressToken, send = () => {} } = {}) {
+  const enabled = progressToken !== undefined && progressToken !== null;
+  let lastSentAt = 0;
+  let lastProgress = -Infinity;
+
+  /**
+   * @param {number} value - Work done so far; must grow between notifications
+   * @param {number|null} [total] - Total work, when known
+   * @param {string} [message]
+   */
+  function progress(value, total, message) {
+    if (!enabled || (signal && signal.aborted) || value <= lastProgress) return;
+
+    const complete = typeof total === 'number' && value >= total;
+    const now = Date.now();
+    if (!complete && now - lastSentAt < PROGRESS_INTERVAL_MS) return;
+    lastSentAt = now;
+    lastProgress = value;
+
+    const params = { progressToken, progress: value };
+    if (typeof total === 'number') params.total = total;
+    if (message) params.message = message;
+    try {
+      send({ jsonrpc: '2.0', method: 'notifications/progress', params });
+    } catch (error) {
+      // The client may already be gone
+    }
+  }
+
+  /**
+   * Report elapsed seconds every few seconds until the returned function is called.
+   *
+   * @param {string} message
+   * @returns {Function} stop
+   */
+  function heartbeat(message) {
+    if (!enabled) return () => {};
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      progress(Math.round((Date.now() - startedAt) / 1000), undefined, message);
+    }, HEARTBEAT_MS);
+    return () => clearInterval(timer);
+  }
+
+  return { signal, progress, heartbeat };
+}
+
+module.exports = {
+  createCallContext
+};
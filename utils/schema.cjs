@@ -0,0 +1,145 @@
+/**
+ * Small JSON Schema validator for tool arguments
+ * Covers the subset used by the tools' inputSchema definitions: type, enum, properties, required,
+ * additionalProperties, items, min/max(Length|Items), minimum/maximum, pattern, format and default.
+ */
+
+const FORMATS = {
+  'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'uri': value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+// Helpers
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function validateNode(schema, value, path, errors) {
+  const at = path || '(arguments)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be of type ${types.join(' or ')} (got ${typeOf(value)})` });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'} long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters long (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path: at, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must contain at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      return value.map((item, index) => validateNode(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (result[key] === undefined && propertySchema.default !== undefined) {
+        result[key] = clone(propertySchema.default);
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (result[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(result)) {
+      if (item === undefined) continue;
+
+      if (properties[key]) {
+        result[key] = validateNode(properties[key], item, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        result[key] = validateNode(schema.additionalProperties, item, joinPath(path, key), errors);
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a schema, applying defaults for missing properties.
+ *
+ * @param {object} schema - JSON Schema (subset)
+ * @param {*} value - Value to validate; it is not modified
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }}
+ */
+function validate(schema, value) {
+  const errors = [];
+  const result = validateNode(schema, value, '', errors);
+  return { value: result, errors };
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`).join('; ');
+}
+
+module.exports = { validate, formatErrors };
@@ -0,0 +1,303 @@
+/**
+ * Local full-text index with BM25 ranking
+ * Indexes context titles, content and tags as separate fields and scores them with BM25F,
+ * so a title match can count for more than a body match. Supports quoted phrases and
+ * returns short highlighted snippets instead of whole documents.
+ */
+
+const FIELDS = ['title', 'content', 'tags'];
+const DEFAULT_BOOSTS = { title: 3, content: 1, tags: 2 };
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+const SNIPPET_RADIUS = 60;
+
+// Helpers
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+function fieldText(context, field) {
+  return field === 'tags' ? (context.tags || []).join(' ') : context[field];
+}
+
+function containsSequence(tokens, sequence) {
+  if (sequence.length === 0) return true;
+  for (let i = 0; i <= tokens.length - sequence.length; i++) {
+    let matched = true;
+    for (let j = 0; j < sequence.length; j++) {
+      if (tokens[i + j] !== sequence[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) return true;
+  }
+  return false;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a query into free terms and "quoted phrases".
+ *
+ * @param {string} query
+ * @returns {{ terms: string[], phrases: string[][] }} Lowercased tokens; phrase tokens are also included in terms
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]*)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 0) phrases.push(tokens);
+    return ' ';
+  });
+
+  const terms = [...new Set([...tokenize(rest), ...phrases.flat()])];
+  return { terms, phrases };
+}
+
+// Move window edges off partial words, by at most a few characters
+function snapToWords(text, start, end) {
+  let snappedStart = start;
+  let snappedEnd = end;
+  while (snappedStart > 0 && snappedStart - start < 20 && /\S/.test(text[snappedStart - 1])) snappedStart++;
+  while (snappedEnd < text.length && end - snappedEnd < 20 && /\S/.test(text[snappedEnd])) snappedEnd--;
+  return { start: snappedStart, end: snappedEnd };
+}
+
+/**
+ * Pick up to `count` windows of content around query matches and mark the matches with **bold**.
+ */
+function buildSnippets(content, terms, phrases, count) {
+  const text = String(content || '');
+  if (count <= 0 || !text) return [];
+
+  const needles = [
+    ...phrases.map(tokens => tokens.map(escapeRegExp).join('[^\\p{L}\\p{N}]+')),
+    ...terms.map(escapeRegExp),
+  ];
+  if (needles.length === 0) return [];
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${needles.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const matches = [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+  if (matches.length === 0) {
+    const lead = text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim();
+    return [text.length > SNIPPET_RADIUS * 2 ? `${lead}…` : lead];
+  }
+
+  // Rank candidate windows by how many distinct terms they contain, then show them in document order
+  const windows = matches.map(match => {
+    const { start, end } = snapToWords(text, Math.max(0, match.start - SNIPPET_RADIUS), Math.min(text.length, match.end + SNIPPET_RADIUS));
+    const inside = matches.filter(other => other.start >= start && other.end <= end);
+    const distinct = new Set(inside.map(other => text.slice(other.start, other.end).toLowerCase())).size;
+    return { start, end, inside, distinct };
+  }).sort((a, b) => b.distinct - a.distinct || a.start - b.start);
+
+  const chosen = [];
+  for (const window of windows) {
+    if (chosen.length >= count) break;
+    if (chosen.every(other => window.end <= other.start || window.start >= other.end)) {
+      chosen.push(window);
+    }
+  }
+
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, inside }) => {
+      let snippet = '';
+      let cursor = start;
+      inside.forEach(match => {
+        if (match.start < cursor) return;
+        snippet += `${text.slice(cursor, match.start)}**${text.slice(match.start, match.end)}**`;
+        cursor = match.end;
+      });
+      snippet += text.slice(cursor, end);
+      snippet = snippet.replace(/\s+/g, ' ').trim();
+      return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    });
+}
+
+/**
+ * Inverted index over contexts, kept per API key and updated as contexts change.
+ */
+class SearchIndex {
+  constructor({ maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.loading = null;
+    this.clear();
+  }
+
+  clear() {
+    this.documents = new Map();          // id -> { context, tokens: { field: string[] } }
+    this.postings = new Map();           // term -> Map(id -> { field: tf })
+    this.totalLengths = { title: 0, content: 0, tags: 0 };
+    this.builtAt = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // True when the index has never been built, was invalidated or is older than maxAgeMs
+  isStale() {
+    return this.builtAt === null || Date.now() - this.builtAt > this.maxAgeMs;
+  }
+
+  invalidate() {
+    this.builtAt = null;
+  }
+
+  /**
+   * Rebuild from loadContexts() when stale (or when forced). Concurrent callers share one load.
+   */
+  async refresh(loadContexts, { force = false } = {}) {
+    if (!force && !this.isStale()) return;
+
+    if (!this.loading) {
+      this.loading = Promise.resolve()
+        .then(loadContexts)
+        .then(contexts => this.rebuild(contexts))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Replace the whole index with the given contexts.
+   */
+  rebuild(contexts) {
+    this.clear();
+    contexts.forEach(context => this.add(context));
+    this.builtAt = Date.now();
+  }
+
+  add(context) {
+    if (!context || !context.id) return;
+    if (this.documents.has(context.id)) this.remove(context.id);
+
+    const tokens = {};
+    FIELDS.forEach(field => {
+      tokens[field] = tokenize(fieldText(context, field));
+      this.totalLengths[field] += tokens[field].length;
+
+      tokens[field].forEach(term => {
+        let entries = this.postings.get(term);
+        if (!entries) {
+          entries = new Map();
+          this.postings.set(term, entries);
+        }
+        const frequencies = entries.get(context.id) || {};
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        entries.set(context.id, frequencies);
+      });
+    });
+
+    this.documents.set(context.id, { context, tokens });
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    FIELDS.forEach(field => {
+      this.totalLengths[field] -= document.tokens[field].length;
+      document.tokens[field].forEach(term => {
+        const entries = this.postings.get(term);
+        if (!entries) return;
+        entries.delete(id);
+        if (entries.size === 0) this.postings.delete(term);
+      });
+    });
+
+    this.documents.delete(id);
+  }
+
+  /**
+   * Apply a change reported by ConvolutAPIClient#onContextChange.
+   * Responses without full content cannot be indexed, so they mark the index stale instead.
+   */
+  applyChange(change) {
+    if (this.builtAt === null) return;
+
+    if (change.type === 'deleted') {
+      this.remove(change.id);
+    } else if (change.context && change.context.id && typeof change.context.content === 'string') {
+      this.add(change.context);
+    } else {
+      this.invalidate();
+    }
+  }
+
+  /**
+   * Rank indexed contexts against a query.
+   *
+   * @param {string} query - Free terms plus optional "quoted phrases" (every phrase must match)
+   * @param {object} [options]
+   * @param {object} [options.boosts] - Per-field weights for title, content and tags
+   * @param {Function} [options.filter] - (context) => boolean, applied before scoring
+   * @param {number} [options.minScore] - Drop results scoring below this
+   * @returns {{ terms: string[], phrases: string[][], results: Array<{ id, score, context, matchedTerms }> }}
+   */
+  search(query, { boosts = {}, filter = () => true, minScore = 0 } = {}) {
+    const { terms, phrases } = parseQuery(query);
+    const weights = { ...DEFAULT_BOOSTS, ...boosts };
+    const count = this.documents.size;
+    const averageLengths = {};
+    FIELDS.forEach(field => {
+      averageLengths[field] = count > 0 ? this.totalLengths[field] / count || 1 : 1;
+    });
+
+    const scores = new Map();
+    terms.forEach(term => {
+      const entries = this.postings.get(term);
+      if (!entries) return;
+
+      const idf = Math.log(1 + (count - entries.size + 0.5) / (entries.size + 0.5));
+      entries.forEach((frequencies, id) => {
+        const { tokens } = this.documents.get(id);
+
+        // BM25F: combine length-normalized field frequencies before saturating
+        let weighted = 0;
+        FIELDS.forEach(field => {
+          if (!frequencies[field]) return;
+          const norm = 1 - B + B * (tokens[field].length / averageLengths[field]);
+          weighted += (weights[field] * frequencies[field]) / norm;
+        });
+        if (weighted === 0) return;
+
+        const entry = scores.get(id) || { score: 0, matchedTerms: [] };
+        entry.score += idf * ((weighted * (K1 + 1)) / (weighted + K1));
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      });
+    });
+
+    const results = [];
+    scores.forEach(({ score, matchedTerms }, id) => {
+      const { context, tokens } = this.documents.get(id);
+      if (score < minScore || !filter(context)) return;
+      if (!phrases.every(phrase => FIELDS.some(field => containsSequence(tokens[field], phrase)))) return;
+      results.push({ id, score, context, matchedTerms });
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return { terms, phrases, results };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  parseQuery,
+  buildSnippets,
+  DEFAULT_BOOSTS
+};
@@ -0,0 +1,165 @@
+/**
+ * Near-duplicate detection with word shingles, MinHash and LSH banding
+ * MinHash signatures find candidate pairs cheaply; candidates are then checked with the
+ * exact Jaccard similarity of their shingle sets, so reported scores are not estimates.
+ */
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 128;
+// Band sizes to choose from, widest (fewest candidate pairs) first; each divides NUM_HASHES
+const ROWS_PER_BAND_OPTIONS = [16, 8, 4, 2, 1];
+// Share of pairs exactly at the threshold that must become candidates
+const TARGET_RECALL = 0.99;
+// Below this almost every pair becomes a candidate, so the scan is no longer cheap
+const MIN_THRESHOLD = 0.3;
+
+// Helpers
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Murmur3 finalizer: a cheap, well-mixed stand-in for a family of random permutations
+function mix(value, seed) {
+  let hash = (value ^ seed) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(i + 1, 0x9e3779b9));
+
+/**
+ * Hashed word shingles of a text. Texts shorter than one shingle become a single shingle.
+ *
+ * @param {string} text
+ * @returns {Set<number>}
+ */
+function shingles(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const set = new Set();
+
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length > 0) set.add(fnv1a(words.join(' ')));
+    return set;
+  }
+
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    set.add(fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return set;
+}
+
+function minHashSignature(shingleSet) {
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  shingleSet.forEach(shingle => {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(shingle, SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+  return signature;
+}
+
+/**
+ * Widest LSH band that still makes a pair with Jaccard similarity `threshold` a candidate with
+ * probability TARGET_RECALL: with b bands of r rows that probability is 1 - (1 - s^r)^b.
+ */
+function rowsPerBand(threshold) {
+  return ROWS_PER_BAND_OPTIONS.find((rows) => {
+    const bands = NUM_HASHES / rows;
+    return 1 - Math.pow(1 - Math.pow(threshold, rows), bands) >= TARGET_RECALL;
+  }) || 1;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(item => {
+    if (large.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+  };
+}
+
+/**
+ * Group documents whose shingle sets have a Jaccard similarity of at least `threshold`.
+ * Clusters are connected components, so members of a cluster may be linked through each other.
+ *
+ * @param {Array<{ id: string, text: string }>} documents
+ * @param {number} threshold - 0..1
+ * @returns {Array<{ members: number[], similarity: (i: number, j: number) => number }>} Clusters of 2+ document indexes
+ */
+function findNearDuplicates(documents, threshold) {
+  const sets = documents.map(document => shingles(document.text));
+  const signatures = sets.map(minHashSignature);
+
+  // LSH: documents sharing any band of their signature become candidate pairs
+  const rows = rowsPerBand(threshold);
+  const candidates = new Set();
+  for (let band = 0; band < NUM_HASHES / rows; band++) {
+    const buckets = new Map();
+    signatures.forEach((signature, index) => {
+      if (sets[index].size === 0) return;
+      const key = Array.from(signature.subarray(band * rows, (band + 1) * rows)).join(',');
+      const bucket = buckets.get(key);
+      if (bucket) {
+        bucket.forEach(other => candidates.add(`${other}:${index}`));
+        bucket.push(index);
+      } else {
+        buckets.set(key, [index]);
+      }
+    });
+  }
+
+  const similarities = new Map();
+  const unionFind = createUnionFind(documents.length);
+  candidates.forEach(pair => {
+    const [a, b] = pair.split(':').map(Number);
+    const score = jaccard(sets[a], sets[b]);
+    if (score >= threshold) {
+      similarities.set(pair, score);
+      unionFind.union(a, b);
+    }
+  });
+
+  const groups = new Map();
+  similarities.forEach((score, pair) => {
+    pair.split(':').map(Number).forEach(index => {
+      const root = unionFind.find(index);
+      if (!groups.has(root)) groups.set(root, new Set());
+      groups.get(root).add(index);
+    });
+  });
+
+  const similarity = (i, j) => (i === j ? 1 : jaccard(sets[i], sets[j]));
+  return [...groups.values()].map(members => ({ members: [...members].sort((a, b) => a - b), similarity }));
+}
+
+module.exports = {
+  MIN_THRESHOLD,
+  shingles,
+  jaccard,
+  findNearDuplicates
+};
@@ -0,0 +1,315 @@
+/**
+ * Analytics over a set of contexts: date-range filtering, grouping, time series,
+ * tag co-occurrence, word-count distribution and period-over-period growth.
+ * All dates are bucketed in UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+const DEFAULT_INTERVALS = { '7d': 'day', '30d': 'day', '90d': 'week', '1y': 'month', all: 'month' };
+const PERCENTILES = [25, 50, 75, 90, 95, 99];
+// Longest time series returned; older buckets are folded into earlier_contexts
+const MAX_BUCKETS = 1000;
+
+// Helpers
+function dateOf(context, dateField) {
+  const parsed = Date.parse(context[dateField] || '');
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function wordCount(context) {
+  if (typeof context.word_count === 'number') return context.word_count;
+  return (String(context.content || '').match(/\S+/g) || []).length;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Start of the day, ISO week (Monday) or month containing the timestamp
+function bucketStart(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (interval === 'week') {
+    return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  }
+  return day;
+}
+
+function nextBucket(start, interval) {
+  if (interval === 'month') {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return start + (interval === 'week' ? 7 : 1) * DAY_MS;
+}
+
+// Start of the bucket `count` buckets before `start`
+function bucketsBefore(start, interval, count) {
+  if (interval === 'month') {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - count, 1);
+  }
+  return start - count * (interval === 'week' ? 7 : 1) * DAY_MS;
+}
+
+function bucketLabel(start, interval) {
+  const iso = new Date(start).toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * The [from, to) window for a date range, or from = null for 'all'.
+ */
+function rangeWindow(dateRange, now = Date.now()) {
+  const days = RANGE_DAYS[dateRange];
+  return { from: days ? now - days * DAY_MS : null, to: now };
+}
+
+function filterByWindow(contexts, dateField, from, to) {
+  if (from === null) return contexts;
+  return contexts.filter(context => {
+    const timestamp = dateOf(context, dateField);
+    return timestamp !== null && timestamp >= from && timestamp < to;
+  });
+}
+
+function groupCounts(contexts, groupBy, interval, dateField) {
+  const counts = {};
+  const add = (key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  contexts.forEach(context => {
+    if (groupBy === 'category') {
+      add(context.category || 'uncategorized');
+    } else if (groupBy === 'favorite') {
+      add(context.is_favorite ? 'favorites' : 'non_favorites');
+    } else if (groupBy === 'tags') {
+      const tags = context.tags || [];
+      if (tags.length === 0) add('(untagged)');
+      tags.forEach(add);
+    } else if (groupBy === 'date') {
+      const timestamp = dateOf(context, dateField);
+      add(timestamp === null ? '(undated)' : bucketLabel(bucketStart(timestamp, interval), interval));
+    }
+  });
+
+  // Largest groups first, except dates which read best in order
+  const entries = Object.entries(counts);
+  entries.sort(groupBy === 'date' ? (a, b) => a[0].localeCompare(b[0]) : (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Counts per bucket from the window start (or the earliest date) to its end (or the latest date),
+ * limited to the last MAX_BUCKETS buckets.
+ *
+ * @returns {{ buckets: object[], earlierContexts: number }} earlierContexts: dated contexts before the first bucket
+ */
+function timeSeries(contexts, dateField, interval, from, to) {
+  const timestamps = contexts.map(context => dateOf(context, dateField)).filter(timestamp => timestamp !== null);
+  if (timestamps.length === 0) return { buckets: [], earlierContexts: 0 };
+
+  // A loop rather than Math.min(...timestamps), which overflows the stack on a large library
+  let earliest = timestamps[0];
+  let latest = timestamps[0];
+  timestamps.forEach(timestamp => {
+    if (timestamp < earliest) earliest = timestamp;
+    if (timestamp > latest) latest = timestamp;
+  });
+
+  const last = bucketStart(from !== null ? to : latest, interval);
+  const first = Math.max(bucketStart(from !== null ? from : earliest, interval), bucketsBefore(last, interval, MAX_BUCKETS - 1));
+
+  const buckets = new Map();
+  for (let start = first; start <= last; start = nextBucket(start, interval)) {
+    buckets.set(start, { period: bucketLabel(start, interval), count: 0, words: 0 });
+  }
+
+  contexts.forEach(context => {
+    const timestamp = dateOf(context, dateField);
+    if (timestamp === null) return;
+    const bucket = buckets.get(bucketStart(timestamp, interval));
+    if (bucket) {
+      bucket.count += 1;
+      bucket.words += wordCount(context);
+    }
+  });
+
+  const earlierContexts = timestamps.filter(timestamp => timestamp < first).length;
+  let cumulative = earlierContexts;
+  return {
+    buckets: [...buckets.values()].map(bucket => {
+      cumulative += bucket.count;
+      return { ...bucket, cumulative };
+    }),
+    earlierContexts,
+  };
+}
+
+function tagCooccurrence(contexts, top) {
+  const pairs = new Map();
+  const tagCounts = new Map();
+
+  contexts.forEach(context => {
+    const tags = [...new Set(context.tags || [])].sort();
+    tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    for (let i = 0; i < tags.length; i++) {
+      for (let j = i + 1; j < tags.length; j++) {
+        const key = `${tags[i]}\u0000${tags[j]}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  });
+
+  return [...pairs.entries()]
+    .map(([key, count]) => {
+      const [a, b] = key.split('\u0000');
+      // Share of contexts with either tag that have both
+      const jaccard = count / (tagCounts.get(a) + tagCounts.get(b) - count);
+      return { tags: [a, b], count, jaccard: round(jaccard, 3) };
+    })
+    .sort((x, y) => y.count - x.count || y.jaccard - x.jaccard)
+    .slice(0, top);
+}
+
+// Nearest-rank percentiles
+function wordDistribution(contexts) {
+  const values = contexts.map(wordCount).sort((a, b) => a - b);
+  if (values.length === 0) {
+    return { total: 0, mean: 0, min: 0, max: 0, percentiles: {} };
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const percentiles = {};
+  PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = values[Math.min(values.length - 1, Math.ceil((p / 100) * values.length) - 1)];
+  });
+
+  return { total, mean: round(total / values.length, 1), min: values[0], max: values[values.length - 1], percentiles };
+}
+
+function growthRate(current, previous) {
+  return previous === 0 ? null : round((current - previous) / previous, 4);
+}
+
+/**
+ * Compute statistics for a library of contexts.
+ *
+ * @param {object[]} contexts - Every context in the library
+ * @param {object} options
+ * @param {string} options.dateRange - 7d, 30d, 90d, 1y or all
+ * @param {string} options.dateField - created_date or updated_date
+ * @param {string} options.groupBy - category, tags, date or favorite
+ * @param {string} [options.interval] - day, week or month (defaults by range)
+ * @param {number} [options.topPairs] - Tag pairs to report
+ * @param {number} [options.now] - Reference time (for tests)
+ * @returns {object}
+ */
+function computeStats(contexts, { dateRange, dateField, groupBy, interval, topPairs = 10, now = Date.now() }) {
+  const resolvedInterval = interval || DEFAULT_INTERVALS[dateRange];
+  const { from, to } = rangeWindow(dateRange, now);
+  const inRange = filterByWindow(contexts, dateField, from, to);
+  const words = wordDistribution(inRange);
+
+  // Compare with the window of the same length just before this one
+  let growth = null;
+  if (from !== null) {
+    const previous = filterByWindow(contexts, dateField, from - (to - from), from).length;
+    growth = { current_period: inRange.length, previous_period: previous, rate: growthRate(inRange.length, previous) };
+  }
+
+  const { buckets: series, earlierContexts } = timeSeries(inRange, dateField, resolvedInterval, from, to);
+  const seriesGrowth = series.map((bucket, index) => ({
+    ...bucket,
+    growth_rate: index === 0 ? null : growthRate(bucket.count, series[index - 1].count),
+  }));
+
+  return {
+    date_range: dateRange,
+    date_field: dateField,
+    from: from !== null ? new Date(from).toISOString() : null,
+    to: new Date(to).toISOString(),
+    library_total: contexts.length,
+    total_contexts: inRange.length,
+    group_by: groupBy,
+    statistics: groupCounts(inRange, groupBy, resolvedInterval, dateField),
+    total_words: words.total,
+    avg_words_per_context: inRange.length > 0 ? Math.round(words.total / inRange.length) : 0,
+    word_count: words,
+    growth,
+    time_series: { interval: resolvedInterval, buckets: seriesGrowth, earlier_contexts: earlierContexts },
+    tag_cooccurrence: tagCooccurrence(inRange, topPairs),
+  };
+}
+
+function markdownTable(headers, rows) {
+  const escape = (value) => String(value === null || value === undefined ? '–' : value).replace(/\|/g, '\\|');
+  return [
+    `| ${headers.map(escape).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`),
+  ].join('\n');
+}
+
+function percent(rate) {
+  return rate === null ? null : `${round(rate * 100, 1)}%`;
+}
+
+/**
+ * Render computeStats output as Markdown tables.
+ */
+function renderStatsMarkdown(stats) {
+  const sections = [
+    '# Context statistics',
+    '',
+    `Range: **${stats.date_range}** by \`${stats.date_field}\`${stats.from ? ` (${stats.from.slice(0, 10)} – ${stats.to.slice(0, 10)})` : ''}. `
+      + `${stats.total_contexts} of ${stats.library_total} contexts, ${stats.total_words} words.`,
+    '',
+    `## By ${stats.group_by}`,
+    '',
+    markdownTable([stats.group_by, 'contexts'], Object.entries(stats.statistics)),
+    '',
+    '## Word counts',
+    '',
+    markdownTable(
+      ['mean', 'min', ...Object.keys(stats.word_count.percentiles), 'max'],
+      [[stats.word_count.mean, stats.word_count.min, ...Object.values(stats.word_count.percentiles), stats.word_count.max]]
+    ),
+  ];
+
+  if (stats.growth) {
+    sections.push('', '## Growth', '', markdownTable(
+      ['this period', 'previous period', 'change'],
+      [[stats.growth.current_period, stats.growth.previous_period, percent(stats.growth.rate)]]
+    ));
+  }
+
+  sections.push('', `## Over time (per ${stats.time_series.interval})`, '', markdownTable(
+    ['period', 'contexts', 'words', 'cumulative', 'change'],
+    stats.time_series.buckets.map(bucket => [bucket.period, bucket.count, bucket.words, bucket.cumulative, percent(bucket.growth_rate)])
+  ));
+  if (stats.time_series.earlier_contexts > 0) {
+    sections.push('', `${stats.time_series.earlier_contexts} older contexts fall before the first period shown and are only counted in the cumulative totals.`);
+  }
+
+  if (stats.tag_cooccurrence.length > 0) {
+    sections.push('', '## Tags used together', '', markdownTable(
+      ['tags', 'contexts', 'jaccard'],
+      stats.tag_cooccurrence.map(pair => [pair.tags.join(' + '), pair.count, pair.jaccard])
+    ));
+  }
+
+  return `${sections.join('\n')}\n`;
+}
+
+module.exports = {
+  computeStats,
+  renderStatsMarkdown
+};
@@ -0,0 +1,106 @@
+/**
+ * Tool registry: each tool module registers its definition, handler and MCP annotations here,
+ * and tools/list, tools/call and the access policy all read from it
+ */
+
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+const CONFIRMATION_TOKEN_INPUT = { type: 'string', description: 'Token from the preview response, confirming the call' };
+
+// Destructive calls may have to be confirmed (utils/policy.cjs), so every destructive tool accepts the token
+function withConfirmationToken(tool) {
+  const properties = tool.inputSchema.properties || {};
+  if (!tool.annotations.destructiveHint || properties.confirmation_token) {
+    return tool.inputSchema;
+  }
+  return { ...tool.inputSchema, properties: { ...properties, confirmation_token: CONFIRMATION_TOKEN_INPUT } };
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * @param {object} tool
+   * @param {string} tool.name
+   * @param {string} tool.title - Human-readable name, also sent as annotations.title
+   * @param {string} tool.description
+   * @param {object} tool.annotations - readOnlyHint, plus destructiveHint and idempotentHint for tools that write
+   * @param {object} tool.inputSchema
+   * @param {object} [tool.outputSchema]
+   * @param {Function} tool.handler - (args, apiClient, session, call) => Promise<result>
+   * @param {Function} [tool.preview] - Builds the confirmation preview of a destructive call; without one the
+   *   client is shown the arguments
+   * @param {Function} [tool.isReadOnlyCall] - For a tool that only writes with some arguments: (args) => true when
+   *   the call changes nothing, so read-only mode can keep the tool listed and refuse just the other calls
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new Error('A tool needs a name');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler`);
+    }
+    if (!tool.inputSchema || !tool.annotations || typeof tool.annotations.readOnlyHint !== 'boolean') {
+      throw new Error(`Tool ${tool.name} needs an inputSchema and annotations with readOnlyHint`);
+    }
+    if (tool.isReadOnlyCall && tool.annotations.readOnlyHint) {
+      throw new Error(`Tool ${tool.name} is read-only, so it cannot have isReadOnlyCall`);
+    }
+
+    this.tools.set(tool.name, Object.freeze({ ...tool, inputSchema: withConfirmationToken(tool) }));
+    return this;
+  }
+
+  registerAll(tools) {
+    tools.forEach(tool => this.register(tool));
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // In registration order
+  all() {
+    return [...this.tools.values()];
+  }
+}
+
+/**
+ * The tools/list entry for a tool: its definition without the server-side parts.
+ * Each option adds fields that only newer protocol revisions define.
+ *
+ * @param {object} tool - A registered tool
+ * @param {object} [options]
+ * @param {boolean} [options.annotations] - annotations, with the title in annotations.title (2025-03-26)
+ * @param {boolean} [options.title] - title at the top level (2025-06-18)
+ * @param {boolean} [options.outputSchema] - outputSchema (2025-06-18)
+ * @returns {object}
+ */
+function describeTool(tool, { annotations = true, title = true, outputSchema = true } = {}) {
+  const description = { name: tool.name };
+  if (title) description.title = tool.title;
+  description.description = tool.description;
+  description.inputSchema = tool.inputSchema;
+  if (outputSchema && tool.outputSchema) description.outputSchema = tool.outputSchema;
+
+  if (annotations) {
+    description.annotations = { title: tool.title };
+    ANNOTATION_HINTS
+      .filter(hint => typeof tool.annotations[hint] === 'boolean')
+      .forEach((hint) => {
+        description.annotations[hint] = tool.annotations[hint];
+      });
+  }
+  return description;
+}
+
+module.exports = {
+  ToolRegistry,
+  describeTool
+};
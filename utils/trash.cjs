@@ -0,0 +1,109 @@
+/**
+ * Local trash for deleted contexts
+ * Full snapshots are kept on disk so a deleted context can be re-created, and expire after the retention period.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./local-store.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function matchesCriteria(entry, { trashIds, olderThanDays } = {}) {
+  if (trashIds && !trashIds.includes(entry.trash_id)) return false;
+  if (olderThanDays !== undefined && Date.parse(entry.deleted_at) > Date.now() - olderThanDays * DAY_MS) return false;
+  return true;
+}
+
+class TrashStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding trash.json
+   * @param {number} [options.retentionDays] - Days to keep entries; 0 keeps them until purged
+   */
+  constructor({ dir, retentionDays = 30 }) {
+    this.retentionDays = retentionDays;
+    this.store = new JsonFileStore(path.join(dir, 'trash.json'), { entries: [] });
+  }
+
+  expiresAt(entry) {
+    if (!this.retentionDays) return null;
+    return new Date(Date.parse(entry.deleted_at) + this.retentionDays * DAY_MS).toISOString();
+  }
+
+  isExpired(entry, now = Date.now()) {
+    const expiresAt = this.expiresAt(entry);
+    return expiresAt !== null && Date.parse(expiresAt) <= now;
+  }
+
+  // Drops entries past the retention period; returns how many were removed. Writes only when some have expired.
+  async purgeExpired() {
+    const { entries } = await this.store.read();
+    if (!entries.some(entry => this.isExpired(entry))) return 0;
+
+    return this.store.update(data => {
+      const before = data.entries.length;
+      data.entries = data.entries.filter(entry => !this.isExpired(entry));
+      return before - data.entries.length;
+    });
+  }
+
+  async list() {
+    await this.purgeExpired();
+    const data = await this.store.read();
+    return data.entries.map(entry => ({ ...entry, expires_at: this.expiresAt(entry) }));
+  }
+
+  async get(trashId) {
+    const entries = await this.list();
+    return entries.find(entry => entry.trash_id === trashId) || null;
+  }
+
+  async add(context) {
+    const entry = {
+      trash_id: crypto.randomUUID(),
+      deleted_at: new Date().toISOString(),
+      context,
+    };
+
+    // Expired entries go in the same write, so retention does not depend on anyone listing the trash
+    await this.store.update(data => {
+      data.entries = data.entries.filter(existing => !this.isExpired(existing));
+      data.entries.push(entry);
+    });
+
+    return { ...entry, expires_at: this.expiresAt(entry) };
+  }
+
+  async remove(trashId) {
+    return this.store.update(data => {
+      const before = data.entries.length;
+      data.entries = data.entries.filter(entry => entry.trash_id !== trashId);
+      return before !== data.entries.length;
+    });
+  }
+
+  // Entries a purge with the same criteria would remove
+  async find(criteria) {
+    const entries = await this.list();
+    return entries.filter(entry => matchesCriteria(entry, criteria));
+  }
+
+  /**
+   * Permanently remove entries.
+   *
+   * @param {object} criteria
+   * @param {string[]} [criteria.trashIds] - Remove only these entries
+   * @param {number} [criteria.olderThanDays] - Remove entries deleted more than this many days ago
+   * @returns {Promise<object[]>} The removed entries
+   */
+  async purge(criteria = {}) {
+    return this.store.update(data => {
+      const removed = data.entries.filter(entry => matchesCriteria(entry, criteria));
+      data.entries = data.entries.filter(entry => !matchesCriteria(entry, criteria));
+      return removed;
+    });
+  }
+}
+
+module.exports = { TrashStore };
@@ -0,0 +1,267 @@
+/**
+ * Minimal YAML support for config files and Markdown front-matter
+ * Handles block mappings and sequences, flow sequences, quoted and plain scalars, and | / > block scalars.
+ * Anchors, tags and multi-document streams are not supported.
+ */
+
+class YAMLError extends Error {
+  constructor(message, lineNumber) {
+    super(lineNumber ? `${message} (line ${lineNumber})` : message);
+    this.name = 'YAMLError';
+    this.lineNumber = lineNumber;
+  }
+}
+
+// Parsing helpers
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function splitFlowItems(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseScalar(raw, lineNumber) {
+  const text = raw.trim();
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new YAMLError(`Invalid double-quoted string: ${text}`, lineNumber);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) {
+      throw new YAMLError(`Invalid single-quoted string: ${text}`, lineNumber);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YAMLError(`Unterminated flow sequence: ${text}`, lineNumber);
+    }
+    return splitFlowItems(text.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+  }
+  if (text === '{}') return {};
+
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+
+  return text;
+}
+
+function splitKeyValue(text, lineNumber) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:#][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (!match) {
+    throw new YAMLError(`Expected "key: value" but found: ${text}`, lineNumber);
+  }
+  const key = match[1].startsWith('"') || match[1].startsWith("'") ? parseScalar(match[1], lineNumber) : match[1];
+  return { key: String(key), value: match[2] === undefined ? '' : match[2] };
+}
+
+function tokenize(source) {
+  return source.split(/\r?\n/).map((line, index) => ({
+    raw: line,
+    indent: line.length - line.trimStart().length,
+    text: stripComment(line.trim()),
+    lineNumber: index + 1,
+  }));
+}
+
+function parse(source) {
+  const allLines = tokenize(String(source));
+  const lines = allLines.filter(line => line.text !== '' && line.text !== '---' && line.text !== '...');
+  let position = 0;
+
+  // Collects the more-indented raw lines that make up a | or > block scalar
+  function parseBlockScalar(style, parentIndent, startLineNumber) {
+    const collected = [];
+    let index = startLineNumber; // allLines is 0-based, so this is the line after the indicator
+
+    while (index < allLines.length) {
+      const line = allLines[index];
+      if (line.raw.trim() !== '' && line.indent <= parentIndent) break;
+      collected.push(line.raw);
+      index++;
+    }
+
+    // Skip the consumed lines in the filtered list as well
+    while (position < lines.length && lines[position].lineNumber <= index) {
+      position++;
+    }
+
+    while (collected.length && collected[collected.length - 1].trim() === '') collected.pop();
+    const blockIndent = Math.min(...collected.filter(line => line.trim()).map(line => line.length - line.trimStart().length));
+    const body = collected.map(line => line.slice(blockIndent));
+
+    if (style === '>') {
+      return body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') + '\n';
+    }
+    return body.join('\n') + '\n';
+  }
+
+  function parseValue(valueText, parentIndent, lineNumber) {
+    if (valueText === '|' || valueText === '>' || valueText === '|-' || valueText === '>-') {
+      const text = parseBlockScalar(valueText[0], parentIndent, lineNumber);
+      return valueText.endsWith('-') ? text.replace(/\n$/, '') : text;
+    }
+    if (valueText !== '') {
+      return parseScalar(valueText, lineNumber);
+    }
+    if (position < lines.length && lines[position].indent > parentIndent) {
+      return parseBlock(lines[position].indent);
+    }
+    // A sequence may sit at the same indent as its parent key
+    if (position < lines.length && lines[position].indent === parentIndent && lines[position].text.startsWith('-')) {
+      return parseBlock(parentIndent);
+    }
+    return null;
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+
+    while (position < lines.length && lines[position].indent === indent && /^-(\s|$)/.test(lines[position].text)) {
+      const line = lines[position];
+      const rest = line.text.slice(1).trim();
+
+      if (rest === '') {
+        position++;
+        items.push(position < lines.length && lines[position].indent > indent ? parseBlock(lines[position].indent) : null);
+      } else if (/^[^"'[{][^:]*:(\s|$)/.test(rest) || /^("|')[^"']*\1\s*:(\s|$)/.test(rest)) {
+        // "- key: value" starts a mapping indented past the dash
+        lines[position] = { ...line, indent: indent + 2, text: rest };
+        items.push(parseMapping(indent + 2));
+      } else {
+        position++;
+        items.push(parseScalar(rest, line.lineNumber));
+      }
+    }
+
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+
+    while (position < lines.length && lines[position].indent === indent && !/^-(\s|$)/.test(lines[position].text)) {
+      const line = lines[position];
+      const { key, value } = splitKeyValue(line.text, line.lineNumber);
+      position++;
+      result[key] = parseValue(value, indent, line.lineNumber);
+    }
+
+    if (position < lines.length && lines[position].indent > indent) {
+      throw new YAMLError('Unexpected indentation', lines[position].lineNumber);
+    }
+
+    return result;
+  }
+
+  function parseBlock(indent) {
+    return /^-(\s|$)/.test(lines[position].text) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  if (lines.length === 0) return null;
+
+  const rootIndent = lines[0].indent;
+  if (lines.length === 1 && !/^-(\s|$)/.test(lines[0].text) && !/:(\s|$)/.test(lines[0].text)) {
+    return parseScalar(lines[0].text, lines[0].lineNumber);
+  }
+
+  const value = parseBlock(rootIndent);
+  if (position < lines.length) {
+    throw new YAMLError('Unexpected content', lines[position].lineNumber);
+  }
+  return value;
+}
+
+// Serialization helpers
+function needsQuoting(text) {
+  return text === ''
+    || /^\s|\s$/.test(text)
+    || /^[-?:,[\]{}#&*!|>'"%@`]/.test(text)
+    || /:\s|:$|\s#|[\n\r\t]/.test(text)
+    || /^(true|false|null|~|yes|no|on|off)$/i.test(text)
+    || /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text);
+}
+
+function stringifyScalar(value, inFlow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const text = String(value);
+  return needsQuoting(text) || (inFlow && /[,[\]{}]/.test(text)) ? JSON.stringify(text) : text;
+}
+
+function isScalar(value) {
+  return value === null || value === undefined || typeof value !== 'object';
+}
+
+function stringify(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}[]`;
+    return value.map(item => {
+      if (isScalar(item)) return `${pad}- ${stringifyScalar(item)}`;
+      const nested = stringify(item, indent + 2).trimStart();
+      return `${pad}- ${nested}`;
+    }).join('\n');
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return `${pad}{}`;
+
+    return entries.map(([key, item]) => {
+      const renderedKey = needsQuoting(key) ? JSON.stringify(key) : key;
+      if (isScalar(item)) return `${pad}${renderedKey}: ${stringifyScalar(item)}`;
+      // Short scalar lists read best inline, e.g. tags: [a, b]
+      if (Array.isArray(item) && item.every(isScalar)) {
+        return `${pad}${renderedKey}: [${item.map(entry => stringifyScalar(entry, true)).join(', ')}]`;
+      }
+      return `${pad}${renderedKey}:\n${stringify(item, indent + 2)}`;
+    }).join('\n');
+  }
+
+  return `${pad}${stringifyScalar(value)}`;
+}
+
+module.exports = { parse, stringify, YAMLError };